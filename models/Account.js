@@ -31,6 +31,15 @@ module.exports = (sequelize) => {
         last_connected: {
             type: DataTypes.DATE,
             allowNull: true
+        },
+        // Maximum messages per clock hour / calendar day; null means unlimited
+        hourly_quota: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        daily_quota: {
+            type: DataTypes.INTEGER,
+            allowNull: true
         }
     }, {
         tableName: 'accounts',
@@ -45,6 +54,41 @@ module.exports = (sequelize) => {
             as: 'campaigns',
             onDelete: 'CASCADE'
         });
+        Account.hasMany(models.ScheduledMessage, {
+            foreignKey: 'account_id',
+            as: 'scheduled_messages',
+            onDelete: 'CASCADE'
+        });
+        Account.hasMany(models.BroadcastJob, {
+            foreignKey: 'account_id',
+            as: 'broadcast_jobs',
+            onDelete: 'CASCADE'
+        });
+        Account.hasMany(models.AccountUsage, {
+            foreignKey: 'account_id',
+            as: 'usage',
+            onDelete: 'CASCADE'
+        });
+        Account.hasMany(models.CampaignAccount, {
+            foreignKey: 'account_id',
+            as: 'campaign_pools',
+            onDelete: 'CASCADE'
+        });
+        Account.hasMany(models.RecurringCampaign, {
+            foreignKey: 'account_id',
+            as: 'recurring_campaigns',
+            onDelete: 'CASCADE'
+        });
+        Account.hasMany(models.Conversation, {
+            foreignKey: 'account_id',
+            as: 'conversations',
+            onDelete: 'CASCADE'
+        });
+        Account.hasMany(models.DirectMessage, {
+            foreignKey: 'account_id',
+            as: 'direct_messages',
+            onDelete: 'CASCADE'
+        });
         Account.hasMany(models.ActivityLog, {
             foreignKey: 'account_id',
             as: 'activity_logs',
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // Messages sent per account per clock hour, used for send quotas
+    const AccountUsage = sequelize.define('AccountUsage', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        period_start: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        sent_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'account_usage',
+        timestamps: false,
+        indexes: [
+            { unique: true, fields: ['account_id', 'period_start'] }
+        ]
+    });
+
+    AccountUsage.associate = (models) => {
+        AccountUsage.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return AccountUsage;
+};
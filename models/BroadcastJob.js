@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const BroadcastJob = sequelize.define('BroadcastJob', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        message_template: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        media_path: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        media_mime_type: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        media_original_name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        delay_min: {
+            type: DataTypes.INTEGER,
+            defaultValue: 10
+        },
+        delay_max: {
+            type: DataTypes.INTEGER,
+            defaultValue: 30
+        },
+        total_recipients: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        sent_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        failed_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        status: {
+            type: DataTypes.ENUM('scheduled', 'running', 'paused', 'stopped', 'completed'),
+            defaultValue: 'running'
+        },
+        scheduled_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Set while a running job is held back, e.g. 'waiting_for_quota'
+        waiting_reason: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        waiting_until: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        completed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        tableName: 'broadcast_jobs',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        indexes: [
+            { fields: ['status'] }
+        ]
+    });
+
+    BroadcastJob.associate = (models) => {
+        BroadcastJob.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+        BroadcastJob.hasMany(models.BroadcastRecipient, {
+            foreignKey: 'job_id',
+            as: 'recipients',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return BroadcastJob;
+};
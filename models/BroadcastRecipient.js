@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const BroadcastRecipient = sequelize.define('BroadcastRecipient', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        job_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'broadcast_jobs',
+                key: 'id'
+            }
+        },
+        phone: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        message_text: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        status: {
+            type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+            defaultValue: 'pending'
+        },
+        error_message: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        sent_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        tableName: 'broadcast_recipients',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { fields: ['job_id', 'status'] }
+        ]
+    });
+
+    BroadcastRecipient.associate = (models) => {
+        BroadcastRecipient.belongsTo(models.BroadcastJob, {
+            foreignKey: 'job_id',
+            as: 'job',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return BroadcastRecipient;
+};
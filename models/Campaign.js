@@ -39,14 +39,156 @@ module.exports = (sequelize) => {
             type: DataTypes.INTEGER,
             defaultValue: 0
         },
+        skipped_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        // Sent messages WhatsApp confirmed as delivered (read ones included) and as read
+        delivered_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        read_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
         status: {
-            type: DataTypes.ENUM('draft', 'running', 'completed', 'paused', 'cancelled'),
+            type: DataTypes.ENUM('draft', 'pending_approval', 'scheduled', 'running', 'completed', 'paused', 'cancelled'),
             defaultValue: 'draft'
         },
         delay_seconds: {
             type: DataTypes.INTEGER,
             defaultValue: 5
         },
+        max_attempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 3
+        },
+        retry_backoff_seconds: {
+            type: DataTypes.INTEGER,
+            defaultValue: 60
+        },
+        scheduled_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Allowed sending hours; without them the global default window applies
+        send_window_start: {
+            type: DataTypes.STRING(5),
+            allowNull: true
+        },
+        send_window_end: {
+            type: DataTypes.STRING(5),
+            allowNull: true
+        },
+        send_window_days: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        send_window_timezone: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        },
+        // At most frequency_cap_max messages per phone across campaigns within
+        // frequency_cap_hours; null uses the global default, 0 exempts the campaign
+        frequency_cap_max: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        frequency_cap_hours: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Auto-pause after this many failed sends in a row; 0 disables it
+        max_consecutive_failures: {
+            type: DataTypes.INTEGER,
+            defaultValue: 10
+        },
+        // Why a campaign was paused automatically, e.g. 'account_disconnected'
+        pause_reason: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        // Set while a running campaign is held back, e.g. 'waiting_for_window'
+        waiting_reason: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        waiting_until: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Approval of campaigns above CAMPAIGN_APPROVAL_THRESHOLD recipients;
+        // null when no decision was asked for
+        approval_status: {
+            type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+            allowNull: true
+        },
+        approval_decided_by: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        approval_comment: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        approval_decided_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // How the targets were chosen when they came from groups or a filter,
+        // e.g. { groups: ['VIP'], exclude_groups: ['Opt-out'], ... }
+        audience: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        // The campaign this one was cloned from; kept as a plain id so the
+        // source can still be deleted
+        cloned_from_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        recurring_campaign_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'recurring_campaigns',
+                key: 'id'
+            }
+        },
+        // Set on the campaigns that send a drip sequence step
+        sequence_step_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'sequence_steps',
+                key: 'id'
+            }
+        },
+        // A/B test: when set, only this share of the recipients gets the
+        // variants first; the rest is held back for the winning variant
+        variant_test_percent: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // How long results are collected after the test slice went out
+        variant_test_wait_minutes: {
+            type: DataTypes.INTEGER,
+            defaultValue: 60
+        },
+        // 'sent', 'delivered' or 'read' rate decides the winner
+        variant_winner_metric: {
+            type: DataTypes.STRING(20),
+            defaultValue: 'read'
+        },
+        variant_decision_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        winner_variant_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
         started_at: {
             type: DataTypes.DATE,
             allowNull: true
@@ -73,11 +215,31 @@ module.exports = (sequelize) => {
             as: 'template',
             onDelete: 'CASCADE'
         });
+        Campaign.belongsTo(models.RecurringCampaign, {
+            foreignKey: 'recurring_campaign_id',
+            as: 'recurrence',
+            onDelete: 'SET NULL'
+        });
+        Campaign.belongsTo(models.SequenceStep, {
+            foreignKey: 'sequence_step_id',
+            as: 'sequence_step',
+            onDelete: 'SET NULL'
+        });
         Campaign.hasMany(models.CampaignMessage, {
             foreignKey: 'campaign_id',
             as: 'messages',
             onDelete: 'CASCADE'
         });
+        Campaign.hasMany(models.CampaignAccount, {
+            foreignKey: 'campaign_id',
+            as: 'pool',
+            onDelete: 'CASCADE'
+        });
+        Campaign.hasMany(models.CampaignVariant, {
+            foreignKey: 'campaign_id',
+            as: 'variants',
+            onDelete: 'CASCADE'
+        });
     };
 
     return Campaign;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // An account in a campaign's sending pool
+    const CampaignAccount = sequelize.define('CampaignAccount', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        campaign_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'campaigns',
+                key: 'id'
+            }
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        // Relative share of the recipients
+        weight: {
+            type: DataTypes.INTEGER,
+            defaultValue: 1
+        },
+        // Most messages this account may send for the campaign; null is unlimited
+        max_messages: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        sent_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'campaign_accounts',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { unique: true, fields: ['campaign_id', 'account_id'] }
+        ]
+    });
+
+    CampaignAccount.associate = (models) => {
+        CampaignAccount.belongsTo(models.Campaign, {
+            foreignKey: 'campaign_id',
+            as: 'campaign',
+            onDelete: 'CASCADE'
+        });
+        CampaignAccount.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return CampaignAccount;
+};
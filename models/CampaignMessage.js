@@ -40,13 +40,46 @@ module.exports = (sequelize) => {
             allowNull: true
         },
         status: {
-            type: DataTypes.ENUM('pending', 'sent', 'failed', 'delivered', 'read'),
+            // 'held' rows wait for an A/B test winner before they become pending;
+            // 'skipped' rows were not sent because of the frequency cap
+            type: DataTypes.ENUM('pending', 'held', 'sending', 'sent', 'failed', 'skipped', 'delivered', 'read', 'undelivered'),
             defaultValue: 'pending'
         },
         error_message: {
             type: DataTypes.TEXT,
             allowNull: true
         },
+        // Key id WhatsApp gave the sent message; receipts are matched on it
+        wa_message_id: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        // For pool campaigns the account a pending row is assigned to; once
+        // sent, the account that actually sent it
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        variant_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'campaign_variants',
+                key: 'id'
+            }
+        },
+        attempt_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        next_attempt_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
         sent_at: {
             type: DataTypes.DATE,
             allowNull: true
@@ -58,6 +91,11 @@ module.exports = (sequelize) => {
         read_at: {
             type: DataTypes.DATE,
             allowNull: true
+        },
+        // First message the contact sent back to the sending account after this one
+        replied_at: {
+            type: DataTypes.DATE,
+            allowNull: true
         }
     }, {
         tableName: 'campaign_messages',
@@ -66,7 +104,8 @@ module.exports = (sequelize) => {
         updatedAt: false,
         indexes: [
             { fields: ['campaign_id', 'status'] },
-            { fields: ['phone'] }
+            { fields: ['phone'] },
+            { fields: ['wa_message_id'] }
         ]
     });
 
@@ -81,6 +120,14 @@ module.exports = (sequelize) => {
             as: 'contact',
             onDelete: 'CASCADE'
         });
+        CampaignMessage.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account'
+        });
+        CampaignMessage.belongsTo(models.CampaignVariant, {
+            foreignKey: 'variant_id',
+            as: 'variant'
+        });
     };
 
     return CampaignMessage;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // One template of an A/B tested campaign and its share of the recipients
+    const CampaignVariant = sequelize.define('CampaignVariant', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        campaign_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'campaigns',
+                key: 'id'
+            }
+        },
+        template_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'message_templates',
+                key: 'id'
+            }
+        },
+        label: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        split_percent: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        }
+    }, {
+        tableName: 'campaign_variants',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+
+    CampaignVariant.associate = (models) => {
+        CampaignVariant.belongsTo(models.Campaign, {
+            foreignKey: 'campaign_id',
+            as: 'campaign',
+            onDelete: 'CASCADE'
+        });
+        CampaignVariant.belongsTo(models.MessageTemplate, {
+            foreignKey: 'template_id',
+            as: 'template'
+        });
+        CampaignVariant.hasMany(models.CampaignMessage, {
+            foreignKey: 'variant_id',
+            as: 'messages'
+        });
+    };
+
+    return CampaignVariant;
+};
@@ -22,6 +22,16 @@ module.exports = (sequelize) => {
         is_active: {
             type: DataTypes.BOOLEAN,
             defaultValue: true
+        },
+        // Campaign messages in a row that never got a delivery receipt
+        undelivered_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        // Set once undelivered_count reaches SUSPECT_AFTER_MISSES
+        suspect_at: {
+            type: DataTypes.DATE,
+            allowNull: true
         }
     }, {
         tableName: 'contacts',
@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // A chat between one of our accounts and one phone number
+    const Conversation = sequelize.define('Conversation', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        phone: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        // The known contact with this phone, if any
+        contact_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'contacts',
+                key: 'id'
+            }
+        },
+        // WhatsApp profile name of the sender
+        sender_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        unread_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        last_message_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        last_message_preview: {
+            type: DataTypes.STRING(200),
+            allowNull: true
+        },
+        last_read_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        tableName: 'conversations',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        indexes: [
+            { unique: true, fields: ['account_id', 'phone'] },
+            { fields: ['last_message_at'] }
+        ]
+    });
+
+    Conversation.associate = (models) => {
+        Conversation.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+        Conversation.belongsTo(models.Contact, {
+            foreignKey: 'contact_id',
+            as: 'contact',
+            onDelete: 'SET NULL'
+        });
+        Conversation.hasMany(models.InboundMessage, {
+            foreignKey: 'conversation_id',
+            as: 'messages',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return Conversation;
+};
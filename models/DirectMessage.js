@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // A message sent right away to a single number (Kirim Pesan or an inbox reply);
+    // campaigns, broadcasts and scheduled messages keep their own records
+    const DirectMessage = sequelize.define('DirectMessage', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        phone: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        message_text: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        media_type: {
+            type: DataTypes.ENUM('image', 'document', 'video', 'audio'),
+            allowNull: true
+        },
+        media_original_name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        wa_message_id: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        }
+    }, {
+        tableName: 'direct_messages',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { fields: ['account_id', 'phone'] }
+        ]
+    });
+
+    DirectMessage.associate = (models) => {
+        DirectMessage.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return DirectMessage;
+};
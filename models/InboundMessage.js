@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // A message a contact sent to one of our accounts
+    const InboundMessage = sequelize.define('InboundMessage', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        conversation_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'conversations',
+                key: 'id'
+            }
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        // Sender's phone
+        phone: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        contact_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'contacts',
+                key: 'id'
+            }
+        },
+        // Key id WhatsApp gave the message, so a redelivered message is stored once
+        wa_message_id: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        text: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        media_type: {
+            type: DataTypes.ENUM('image', 'video', 'audio', 'document', 'sticker', 'location', 'contact'),
+            allowNull: true
+        },
+        // Key id of the message this one replies to
+        quoted_message_id: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        // When the sender sent it, per WhatsApp
+        received_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        }
+    }, {
+        tableName: 'inbound_messages',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { fields: ['conversation_id', 'received_at'] },
+            { unique: true, fields: ['account_id', 'wa_message_id'] },
+            { fields: ['contact_id'] }
+        ]
+    });
+
+    InboundMessage.associate = (models) => {
+        InboundMessage.belongsTo(models.Conversation, {
+            foreignKey: 'conversation_id',
+            as: 'conversation',
+            onDelete: 'CASCADE'
+        });
+        InboundMessage.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+        InboundMessage.belongsTo(models.Contact, {
+            foreignKey: 'contact_id',
+            as: 'contact',
+            onDelete: 'SET NULL'
+        });
+    };
+
+    return InboundMessage;
+};
@@ -0,0 +1,106 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const RecurringCampaign = sequelize.define('RecurringCampaign', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        template_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'message_templates',
+                key: 'id'
+            }
+        },
+        group_name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        frequency: {
+            type: DataTypes.ENUM('daily', 'weekly', 'monthly', 'cron'),
+            allowNull: false
+        },
+        // HH:MM in server local time, used by daily/weekly/monthly
+        run_time: {
+            type: DataTypes.STRING(5),
+            defaultValue: '09:00'
+        },
+        // 0 (Sunday) to 6, used by weekly
+        day_of_week: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // 1 to 31, used by monthly
+        day_of_month: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        cron_expression: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        delay_seconds: {
+            type: DataTypes.INTEGER,
+            defaultValue: 5
+        },
+        status: {
+            type: DataTypes.ENUM('active', 'paused'),
+            defaultValue: 'active'
+        },
+        next_run_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        last_run_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        occurrence_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'recurring_campaigns',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        indexes: [
+            { fields: ['status', 'next_run_at'] }
+        ]
+    });
+
+    RecurringCampaign.associate = (models) => {
+        RecurringCampaign.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+        RecurringCampaign.belongsTo(models.MessageTemplate, {
+            foreignKey: 'template_id',
+            as: 'template',
+            onDelete: 'CASCADE'
+        });
+        RecurringCampaign.hasMany(models.Campaign, {
+            foreignKey: 'recurring_campaign_id',
+            as: 'campaigns',
+            onDelete: 'SET NULL'
+        });
+    };
+
+    return RecurringCampaign;
+};
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const ScheduledMessage = sequelize.define('ScheduledMessage', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        phone: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        message_text: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        media_path: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        media_mime_type: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        media_original_name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        scheduled_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed', 'cancelled'),
+            defaultValue: 'pending'
+        },
+        error_message: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        sent_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        tableName: 'scheduled_messages',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        indexes: [
+            { fields: ['status', 'scheduled_at'] },
+            { fields: ['account_id'] }
+        ]
+    });
+
+    ScheduledMessage.associate = (models) => {
+        ScheduledMessage.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return ScheduledMessage;
+};
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // A drip sequence: enrolled contacts get its steps one after another
+    const Sequence = sequelize.define('Sequence', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        account_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'accounts',
+                key: 'id'
+            }
+        },
+        // Active contacts of this group are enrolled automatically
+        group_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        // A reply from the contact ends their enrollment
+        exit_on_reply: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        },
+        delay_seconds: {
+            type: DataTypes.INTEGER,
+            defaultValue: 5
+        },
+        status: {
+            type: DataTypes.ENUM('active', 'paused'),
+            defaultValue: 'active'
+        }
+    }, {
+        tableName: 'sequences',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at'
+    });
+
+    Sequence.associate = (models) => {
+        Sequence.belongsTo(models.Account, {
+            foreignKey: 'account_id',
+            as: 'account',
+            onDelete: 'CASCADE'
+        });
+        Sequence.hasMany(models.SequenceStep, {
+            foreignKey: 'sequence_id',
+            as: 'steps',
+            onDelete: 'CASCADE'
+        });
+        Sequence.hasMany(models.SequenceEnrollment, {
+            foreignKey: 'sequence_id',
+            as: 'enrollments',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return Sequence;
+};
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // A contact's progress through a drip sequence
+    const SequenceEnrollment = sequelize.define('SequenceEnrollment', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        sequence_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sequences',
+                key: 'id'
+            }
+        },
+        contact_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'contacts',
+                key: 'id'
+            }
+        },
+        status: {
+            type: DataTypes.ENUM('active', 'completed', 'exited'),
+            defaultValue: 'active'
+        },
+        // Position of the last step sent or skipped; 0 right after enrolling
+        current_step: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        next_step_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        last_step_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // The CampaignMessage of the last step sent
+        last_message_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Last time the contact wrote back
+        replied_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // 'replied', 'opted_out' or 'removed'
+        exit_reason: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        ended_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        tableName: 'sequence_enrollments',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { unique: true, fields: ['sequence_id', 'contact_id'] },
+            { fields: ['status', 'next_step_at'] },
+            { fields: ['contact_id'] }
+        ]
+    });
+
+    SequenceEnrollment.associate = (models) => {
+        SequenceEnrollment.belongsTo(models.Sequence, {
+            foreignKey: 'sequence_id',
+            as: 'sequence',
+            onDelete: 'CASCADE'
+        });
+        SequenceEnrollment.belongsTo(models.Contact, {
+            foreignKey: 'contact_id',
+            as: 'contact',
+            onDelete: 'CASCADE'
+        });
+        SequenceEnrollment.belongsTo(models.CampaignMessage, {
+            foreignKey: 'last_message_id',
+            as: 'last_message',
+            constraints: false
+        });
+    };
+
+    return SequenceEnrollment;
+};
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    // One message of a drip sequence; each time it is due it goes out as a campaign
+    const SequenceStep = sequelize.define('SequenceStep', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        sequence_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sequences',
+                key: 'id'
+            }
+        },
+        // 1 for the first step
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        template_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'message_templates',
+                key: 'id'
+            }
+        },
+        // Days after the previous step (after enrolling, for the first step)
+        delay_days: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        // Compared against the previous step; a step whose condition does not
+        // hold is skipped
+        condition: {
+            type: DataTypes.ENUM('always', 'replied', 'not_replied', 'read', 'not_read'),
+            defaultValue: 'always'
+        },
+        skipped_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'sequence_steps',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { unique: true, fields: ['sequence_id', 'position'] }
+        ]
+    });
+
+    SequenceStep.associate = (models) => {
+        SequenceStep.belongsTo(models.Sequence, {
+            foreignKey: 'sequence_id',
+            as: 'sequence',
+            onDelete: 'CASCADE'
+        });
+        SequenceStep.belongsTo(models.MessageTemplate, {
+            foreignKey: 'template_id',
+            as: 'template'
+        });
+        SequenceStep.hasMany(models.Campaign, {
+            foreignKey: 'sequence_step_id',
+            as: 'campaigns',
+            onDelete: 'SET NULL'
+        });
+    };
+
+    return SequenceStep;
+};
@@ -13,8 +13,21 @@ const models = {
     MessageTemplate: require('./MessageTemplate')(sequelize),
     Campaign: require('./Campaign')(sequelize),
     CampaignMessage: require('./CampaignMessage')(sequelize),
+    CampaignVariant: require('./CampaignVariant')(sequelize),
+    CampaignAccount: require('./CampaignAccount')(sequelize),
     MediaFile: require('./MediaFile')(sequelize),
-    ActivityLog: require('./ActivityLog')(sequelize)
+    ActivityLog: require('./ActivityLog')(sequelize),
+    ScheduledMessage: require('./ScheduledMessage')(sequelize),
+    BroadcastJob: require('./BroadcastJob')(sequelize),
+    BroadcastRecipient: require('./BroadcastRecipient')(sequelize),
+    RecurringCampaign: require('./RecurringCampaign')(sequelize),
+    Sequence: require('./Sequence')(sequelize),
+    SequenceStep: require('./SequenceStep')(sequelize),
+    SequenceEnrollment: require('./SequenceEnrollment')(sequelize),
+    Conversation: require('./Conversation')(sequelize),
+    InboundMessage: require('./InboundMessage')(sequelize),
+    DirectMessage: require('./DirectMessage')(sequelize),
+    AccountUsage: require('./AccountUsage')(sequelize)
 };
 
 Object.keys(models).forEach(modelName => {
@@ -23,7 +36,35 @@ Object.keys(models).forEach(modelName => {
     }
 });
 
+// sync() only creates missing tables, so columns added to a model after its
+// table already exists are added here. They go in before sync() because it
+// also creates missing indexes, which may be on the new columns.
+async function syncSchema() {
+    const queryInterface = sequelize.getQueryInterface();
+    const tables = await queryInterface.showAllTables();
+
+    for (const model of Object.values(sequelize.models)) {
+        const tableName = model.getTableName();
+
+        if (!tables.includes(tableName)) {
+            continue;
+        }
+
+        const columns = await queryInterface.describeTable(tableName);
+
+        for (const attribute of Object.values(model.rawAttributes)) {
+            if (!columns[attribute.field]) {
+                await queryInterface.addColumn(tableName, attribute.field, attribute);
+                console.log(`🧱 Added column ${tableName}.${attribute.field}`);
+            }
+        }
+    }
+
+    await sequelize.sync();
+}
+
 models.sequelize = sequelize;
 models.Sequelize = Sequelize;
+models.syncSchema = syncSchema;
 
 module.exports = models;
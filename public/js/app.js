@@ -1,15 +1,33 @@
 // Global variables
 let currentSection = 'dashboard';
 
-// Broadcast control variables
+// Broadcast observer state (the broadcast itself runs on the server)
 let broadcastState = {
-    isRunning: false,
-    isPaused: false,
-    isStopped: false,
-    currentIndex: 0,
-    totalRecipients: 0
+    jobId: null,
+    status: null,
+    lastResultId: 0,
+    processed: 0,
+    pollTimer: null
 };
 
+// Live progress streams (SSE) for running campaigns shown on the dashboard
+const campaignStreams = new Map();
+
+// Last GET /api/analytics/funnel result, re-rendered when the breakdown changes
+let deliveryFunnel = null;
+
+// Open inbox conversation and the poll that refreshes it while the section is shown
+let inboxState = {
+    conversation: null,
+    oldestAt: null,
+    olderLoaded: false,
+    latestInboundAt: null,
+    pollTimer: null
+};
+
+// How often the inbox checks for new messages
+const INBOX_POLL_INTERVAL = 15000;
+
 // Add basic test at top level
 console.log('app.js loaded successfully');
 
@@ -128,6 +146,14 @@ function switchSection(section) {
     
     currentSection = section;
     
+    if (section !== 'dashboard') {
+        closeCampaignStreams();
+    }
+    
+    if (section !== 'inbox') {
+        stopInboxPolling();
+    }
+    
     // Load section data
     switch(section) {
         case 'dashboard':
@@ -139,6 +165,9 @@ function switchSection(section) {
         case 'messages':
             loadMessagesPage();
             break;
+        case 'inbox':
+            loadInbox();
+            break;
         case 'contacts':
             loadContacts();
             break;
@@ -238,6 +267,9 @@ async function loadDashboard() {
         
         // Load additional stats
         await loadRecentCampaigns();
+        await loadFunnelAccounts();
+        await loadDeliveryFunnel();
+        await loadInboxBadge();
         // Account status check is now manual only
         
     } catch (error) {
@@ -255,25 +287,30 @@ async function loadRecentCampaigns() {
         const tbody = document.querySelector('#recent-campaigns-table tbody');
         
         tbody.innerHTML = '';
+        closeCampaignStreams();
         
         campaigns.slice(0, 5).forEach(campaign => {
             const progress = campaign.total_targets > 0 ? 
                 Math.round((campaign.sent_count / campaign.total_targets) * 100) : 0;
                 
             const row = `
-                <tr>
+                <tr id="recent-campaign-${campaign.id}">
                     <td>${campaign.name}</td>
-                    <td><span class="campaign-status campaign-${campaign.status}">${campaign.status.toUpperCase()}</span></td>
+                    <td><span class="campaign-status campaign-${campaign.status}">${getCampaignStatusLabel(campaign)}</span></td>
                     <td>
                         <div class="progress progress-mini">
                             <div class="progress-bar" role="progressbar" style="width: ${progress}%"></div>
                         </div>
-                        <small>${campaign.sent_count}/${campaign.total_targets}</small>
+                        <small class="campaign-progress-text">${campaign.sent_count}/${campaign.total_targets}</small>
                     </td>
                     <td>${formatDate(campaign.created_at)}</td>
                 </tr>
             `;
             tbody.insertAdjacentHTML('beforeend', row);
+            
+            if (campaign.status === 'running') {
+                watchCampaignProgress(campaign.id);
+            }
         });
         
     } catch (error) {
@@ -281,6 +318,190 @@ async function loadRecentCampaigns() {
     }
 }
 
+function watchCampaignProgress(campaignId) {
+    const stream = new EventSource(`/api/campaigns/${campaignId}/events`);
+    
+    stream.addEventListener('progress', (event) => {
+        const progress = JSON.parse(event.data);
+        updateCampaignProgressRow(progress);
+        
+        if (progress.status !== 'running') {
+            stream.close();
+            campaignStreams.delete(campaignId);
+        }
+    });
+    
+    campaignStreams.set(campaignId, stream);
+}
+
+function updateCampaignProgressRow(progress) {
+    const row = document.getElementById(`recent-campaign-${progress.campaign_id}`);
+    if (!row) return;
+    
+    const status = row.querySelector('.campaign-status');
+    status.className = `campaign-status campaign-${progress.status}`;
+    status.textContent = getCampaignStatusLabel(progress);
+    
+    row.querySelector('.progress-bar').style.width = `${progress.percent}%`;
+    
+    let text = `${progress.sent}/${progress.total}`;
+    if (progress.failed > 0) {
+        text += ` (${progress.failed} gagal)`;
+    }
+    if (progress.skipped > 0) {
+        text += ` (${progress.skipped} dilewati)`;
+    }
+    if (progress.read > 0) {
+        text += ` • ${progress.read} dibaca`;
+    }
+    if (progress.eta_seconds !== null) {
+        text += ` • sisa ~${formatEta(progress.eta_seconds)}`;
+    }
+    row.querySelector('.campaign-progress-text').textContent = text;
+}
+
+function formatEta(seconds) {
+    if (seconds < 60) return `${seconds} detik`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)} menit`;
+    return `${Math.floor(seconds / 3600)} jam ${Math.round((seconds % 3600) / 60)} menit`;
+}
+
+async function loadFunnelAccounts() {
+    try {
+        const accounts = await apiCall('/api/accounts');
+        const select = document.getElementById('funnelAccount');
+        const currentValue = select.value;
+        
+        select.innerHTML = '<option value="">Semua Akun</option>';
+        
+        accounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = account.name;
+            select.appendChild(option);
+        });
+        
+        select.value = currentValue;
+    } catch (error) {
+        console.error('Failed to load funnel accounts:', error);
+    }
+}
+
+// Days the dashboard funnel covers until the user picks another range
+const FUNNEL_DEFAULT_DAYS = 30;
+
+// YYYY-MM-DD in local time, as <input type="date"> expects
+function toDateInputValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+async function loadDeliveryFunnel() {
+    try {
+        // The first load covers the last 30 days instead of every message ever sent
+        if (deliveryFunnel === null && !document.getElementById('funnelFrom').value && !document.getElementById('funnelTo').value) {
+            const from = new Date();
+            from.setDate(from.getDate() - (FUNNEL_DEFAULT_DAYS - 1));
+            document.getElementById('funnelFrom').value = toDateInputValue(from);
+            document.getElementById('funnelTo').value = toDateInputValue(new Date());
+        }
+        
+        const params = new URLSearchParams();
+        const from = document.getElementById('funnelFrom').value;
+        const to = document.getElementById('funnelTo').value;
+        const accountId = document.getElementById('funnelAccount').value;
+        
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (accountId) params.set('account_id', accountId);
+        
+        deliveryFunnel = await apiCall(`/api/analytics/funnel?${params}`);
+        renderFunnelSummary();
+        renderFunnelBreakdown();
+    } catch (error) {
+        console.error('Failed to load delivery funnel:', error);
+        showAlert('Gagal memuat funnel: ' + error.message, 'danger');
+    }
+}
+
+function renderFunnelSummary() {
+    const totals = deliveryFunnel.totals;
+    const stages = [
+        ['targeted', 'Target', 'bg-secondary'],
+        ['sent', 'Terkirim', 'bg-primary'],
+        ['delivered', 'Diterima', 'bg-info'],
+        ['read', 'Dibaca', 'bg-success'],
+        ['replied', 'Dibalas', 'bg-warning']
+    ];
+    
+    const bars = stages.map(([stage, label, color]) => {
+        const percent = stage === 'targeted' ? (totals.targeted > 0 ? 100 : 0) : totals.percent[stage];
+        return `
+            <div class="d-flex align-items-center mb-1">
+                <small class="me-2" style="width: 80px;">${label}</small>
+                <div class="progress flex-grow-1">
+                    <div class="progress-bar ${color}" role="progressbar" style="width: ${percent}%"></div>
+                </div>
+                <small class="ms-2" style="width: 110px;">${totals[stage]} (${percent}%)</small>
+            </div>
+        `;
+    }).join('');
+    
+    document.getElementById('funnel-summary').innerHTML = `
+        ${bars}
+        <small class="text-muted">
+            Median sampai diterima: ${formatFunnelSeconds(totals.median_seconds_to_deliver)} •
+            Median sampai dibaca: ${formatFunnelSeconds(totals.median_seconds_to_read)}
+        </small>
+    `;
+}
+
+function renderFunnelBreakdown() {
+    if (!deliveryFunnel) {
+        return;
+    }
+    
+    const groupBy = document.getElementById('funnelGroupBy').value;
+    const headers = { by_campaign: 'Kampanye', by_account: 'Akun', by_day: 'Hari' };
+    const tbody = document.querySelector('#funnel-table tbody');
+    
+    document.getElementById('funnel-group-header').textContent = headers[groupBy];
+    
+    const rows = deliveryFunnel[groupBy];
+    
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">Belum ada data</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = rows.map(row => {
+        const label = groupBy === 'by_campaign' ? (row.campaign_name || `#${row.campaign_id}`) :
+            groupBy === 'by_account' ? (row.account_name || '-') : row.day;
+        
+        return `
+            <tr>
+                <td>${label}</td>
+                <td>${row.targeted}</td>
+                <td>${row.sent} (${row.percent.sent}%)</td>
+                <td>${row.delivered} (${row.percent.delivered}%)</td>
+                <td>${row.read} (${row.percent.read}%)</td>
+                <td>${row.replied} (${row.percent.replied}%)</td>
+                <td>${formatFunnelSeconds(row.median_seconds_to_deliver)}</td>
+                <td>${formatFunnelSeconds(row.median_seconds_to_read)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function formatFunnelSeconds(seconds) {
+    return seconds === null ? '-' : formatEta(seconds);
+}
+
+function closeCampaignStreams() {
+    campaignStreams.forEach(stream => stream.close());
+    campaignStreams.clear();
+}
+
 async function loadAccountStatus() {
     try {
         const accounts = await apiCall('/api/accounts');
@@ -328,6 +549,7 @@ async function loadAccounts() {
                     <td>${account.name}</td>
                     <td>${account.phone}</td>
                     <td><span class="status-badge ${statusClass}">${account.status.toUpperCase()}</span></td>
+                    <td>${formatQuotaUsage(account)}</td>
                     <td>${lastConnected}</td>
                     <td>
                         <div class="btn-group btn-group-sm">
@@ -344,6 +566,39 @@ async function loadAccounts() {
     }
 }
 
+function formatQuotaUsage(account) {
+    const usage = account.quota_usage;
+    if (!usage) return '-';
+    
+    const describe = (quota, unit) => `${quota.used}/${quota.limit ?? '∞'} ${unit}`;
+    
+    return `
+        <small>${describe(usage.hourly, 'per jam')}<br>${describe(usage.daily, 'per hari')}</small>
+        <button class="btn btn-link btn-sm p-0 ms-1" onclick="editAccountQuota(${account.id}, ${account.hourly_quota ?? 'null'}, ${account.daily_quota ?? 'null'})" title="Atur kuota">
+            <i class="fas fa-edit"></i>
+        </button>
+    `;
+}
+
+async function editAccountQuota(accountId, hourlyQuota, dailyQuota) {
+    const hourly = prompt('Kuota per jam (kosongkan untuk tanpa batas):', hourlyQuota ?? '');
+    if (hourly === null) return;
+    
+    const daily = prompt('Kuota per hari (kosongkan untuk tanpa batas):', dailyQuota ?? '');
+    if (daily === null) return;
+    
+    try {
+        await apiCall(`/api/accounts/${accountId}/quota`, {
+            method: 'PUT',
+            body: JSON.stringify({ hourly_quota: hourly.trim(), daily_quota: daily.trim() })
+        });
+        showAlert('Kuota akun diperbarui', 'success');
+        loadAccounts();
+    } catch (error) {
+        console.error('Failed to update account quota:', error);
+    }
+}
+
 function getAccountActionButtons(account) {
     let buttons = '';
     
@@ -1127,6 +1382,15 @@ document.addEventListener('DOMContentLoaded', function() {
             }
         });
     }
+    
+    const inboxSearch = document.getElementById('inboxSearch');
+    if (inboxSearch) {
+        inboxSearch.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                loadConversations();
+            }
+        });
+    }
 });
 
 function showAddContactModal() {
@@ -1408,6 +1672,9 @@ async function loadMessagesPage() {
             showAlert('Tidak ada akun WhatsApp yang terhubung. Silakan hubungkan akun terlebih dahulu.', 'warning');
         }
         
+        loadScheduledMessages();
+        resumeBroadcastObservation();
+        
     } catch (error) {
         console.error('Error loading messages page:', error);
         showAlert('Error loading messages page: ' + error.message, 'danger');
@@ -1461,36 +1728,6 @@ async function sendMessage() {
             if (!confirmed) return;
         }
         
-        // Initialize broadcast state
-        broadcastState = {
-            isRunning: true,
-            isPaused: false,
-            isStopped: false,
-            currentIndex: 0,
-            totalRecipients: recipientData.length
-        };
-        
-        // Disable entire form during broadcast
-        disableBroadcastForm(true);
-        
-        // Clear and setup results display for real-time updates
-        console.log('🔧 Setting up real-time results display...');
-        setupRealTimeResults();
-        console.log('✅ Real-time setup complete');
-        
-        // Show loading state and control buttons
-        const submitBtn = document.querySelector('#sendMessageForm button[type="submit"]');
-        const controlButtons = document.getElementById('controlButtons');
-        const originalText = submitBtn.innerHTML;
-        
-        submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin me-2"></i>Mengirim ke ${recipientData.length} penerima...`;
-        submitBtn.disabled = true;
-        
-        // Show pause/stop buttons
-        if (controlButtons) {
-            controlButtons.style.display = 'flex';
-        }
-        
         // Validate schedule if needed
         let scheduleDateTime = null;
         if (isScheduled) {
@@ -1499,67 +1736,47 @@ async function sendMessage() {
             
             if (!scheduleDate || !scheduleTime) {
                 showAlert('Mohon tentukan tanggal dan waktu untuk pesan terjadwal', 'warning');
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
                 return;
             }
             
-            scheduleDateTime = `${scheduleDate} ${scheduleTime}`;
+            scheduleDateTime = new Date(`${scheduleDate}T${scheduleTime}`).toISOString();
         }
         
         // Get delay settings
         const delayMin = parseInt(document.getElementById('delayMin').value) || 10;
         const delayMax = parseInt(document.getElementById('delayMax').value) || 30;
         
-        // Send messages to all recipients with mail merge
-        const results = await sendBulkMessagesWithMerge(fromAccount, recipientData, messageTemplate, mediaFile, scheduleDateTime, delayMin, delayMax);
-        
-        // Show results
-        const successful = results.filter(r => r.success).length;
-        const failed = results.filter(r => !r.success).length;
+        // Submit the whole broadcast once; the server sends it and this page only observes
+        const formData = new FormData();
+        formData.append('fromAccountId', fromAccount);
+        formData.append('recipients', JSON.stringify(recipientData.map(r => ({ phone: r.phone, data: r.data }))));
+        formData.append('message', messageTemplate);
+        formData.append('delayMin', delayMin);
+        formData.append('delayMax', delayMax);
+        
+        if (mediaFile) {
+            formData.append('media', mediaFile);
+        }
         
-        let message = `✅ Berhasil mengirim ke ${successful} penerima`;
-        if (failed > 0) {
-            message += `, gagal ${failed} penerima`;
+        if (scheduleDateTime) {
+            formData.append('scheduledAt', scheduleDateTime);
         }
         
-        showAlert(message, successful > 0 ? 'success' : 'danger');
+        const job = await apiCall('/api/broadcasts', {
+            method: 'POST',
+            body: formData
+        });
         
-        // Update final summary
-        const resultsBox = document.getElementById('sendResults');
-        const finalStatus = broadcastState.isStopped ? 
-            `🛑 Broadcast dihentikan (${successful}/${recipientData.length})` : 
-            `✅ Broadcast selesai! (${successful}/${recipientData.length})`;
-            
-        if (resultsBox) {
-            resultsBox.insertAdjacentHTML('beforeend', `
-                <div class="py-2 px-3 mt-2 bg-info text-white rounded text-center">
-                    <strong>${finalStatus}</strong>
-                </div>
-            `);
-            
-            // Auto scroll to bottom
-            const parentContainer = resultsBox.parentElement;
-            if (parentContainer) {
-                parentContainer.scrollTop = parentContainer.scrollHeight;
-            }
-        }
+        resetMessageForm();
         
-        // Show final status
-        if (broadcastState.isStopped) {
-            showAlert(`🛑 Broadcast dihentikan. Terkirim: ${successful}/${recipientData.length}`, 'warning');
-        } else {
-            showAlert('✅ Broadcast selesai!', 'success');
+        if (job.status === 'scheduled') {
+            showAlert(`📅 Broadcast ke ${job.total_recipients} penerima dijadwalkan`, 'success');
+            loadScheduledMessages();
+            return;
         }
         
-        // Reset form
-        document.getElementById('sendMessageForm').reset();
-        document.getElementById('messagePreview').textContent = 'Preview pesan akan muncul di sini...';
-        document.getElementById('charCount').textContent = '0';
-        clearMediaSelection();
-        
-        // Reset broadcast UI
-        resetBroadcastUI();
+        showAlert(`🚀 Broadcast ke ${job.total_recipients} penerima dimulai`, 'info');
+        observeBroadcast(job.id);
         
     } catch (error) {
         console.error('Error sending message:', error);
@@ -1570,144 +1787,301 @@ async function sendMessage() {
     }
 }
 
-// Send messages to multiple recipients with mail merge
-async function sendBulkMessagesWithMerge(fromAccount, recipientData, messageTemplate, mediaFile, scheduleDateTime, delayMin = 10, delayMax = 30) {
-    const results = [];
+function resetMessageForm() {
+    document.getElementById('sendMessageForm').reset();
+    document.getElementById('messagePreview').textContent = 'Preview pesan akan muncul di sini...';
+    document.getElementById('charCount').textContent = '0';
+    clearMediaSelection();
+}
+
+// Follow a server-side broadcast job until it finishes
+function observeBroadcast(jobId) {
+    stopBroadcastPolling();
     
-    for (let i = 0; i < recipientData.length; i++) {
-        // Check if broadcast was stopped
-        if (broadcastState.isStopped) {
-            console.log('🛑 Broadcast stopped by user');
-            break;
+    broadcastState = {
+        jobId: jobId,
+        status: 'running',
+        lastResultId: 0,
+        processed: 0,
+        pollTimer: null
+    };
+    
+    // Remember the job so reopening the page picks it up again
+    localStorage.setItem('activeBroadcastId', jobId);
+    
+    disableBroadcastForm(true);
+    setupRealTimeResults();
+    
+    const resultsCard = document.getElementById('sendResultsCard');
+    if (resultsCard) {
+        resultsCard.style.display = 'block';
+    }
+    
+    const controlButtons = document.getElementById('controlButtons');
+    if (controlButtons) {
+        controlButtons.style.display = 'flex';
+    }
+    
+    pollBroadcastProgress();
+    broadcastState.pollTimer = setInterval(pollBroadcastProgress, 3000);
+}
+
+async function pollBroadcastProgress() {
+    const jobId = broadcastState.jobId;
+    if (!jobId) return;
+    
+    try {
+        const response = await fetch(`/api/broadcasts/${jobId}/progress?after=${broadcastState.lastResultId}`);
+        
+        if (response.status === 404) {
+            localStorage.removeItem('activeBroadcastId');
+            resetBroadcastUI();
+            return;
         }
         
-        // Handle pause state
-        while (broadcastState.isPaused) {
-            const submitBtn = document.querySelector('#sendMessageForm button[type="submit"]');
-            submitBtn.innerHTML = `<i class="fas fa-pause me-2"></i>Di-pause... (${i}/${recipientData.length})`;
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Check every second
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        // Update current index
-        broadcastState.currentIndex = i;
-        const recipient = recipientData[i];
+        const progress = await response.json();
         
-        let currentResult;
+        // Ignore responses for a job we stopped observing meanwhile
+        if (broadcastState.jobId !== jobId) return;
         
-        try {
-            // Update progress
-            const submitBtn = document.querySelector('#sendMessageForm button[type="submit"]');
-            submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin me-2"></i>Mengirim ${i + 1}/${recipientData.length}...`;
-            
-            // Process message template for this recipient
-            const personalizedMessage = processMessageTemplate(messageTemplate, recipient);
-            
-            let result;
-            
-            if (mediaFile) {
-                // Send with media using individual API calls
-                const formData = new FormData();
-                formData.append('fromAccountId', fromAccount);
-                formData.append('toNumber', recipient.phone);
-                formData.append('message', personalizedMessage.trim());
-                formData.append('media', mediaFile);
-                
-                if (scheduleDateTime) {
-                    formData.append('scheduledAt', scheduleDateTime);
-                }
-                
-                result = await apiCall('/api/messages/send-media', {
-                    method: 'POST',
-                    body: formData
-                });
-            } else {
-                // Send text-only message
-                const messageData = {
-                    fromAccountId: fromAccount,
-                    toNumber: recipient.phone,
-                    message: personalizedMessage.trim()
-                };
-                
-                if (scheduleDateTime) {
-                    messageData.scheduledAt = scheduleDateTime;
-                }
-                
-                result = await apiCall('/api/messages/send', {
-                    method: 'POST',
-                    body: JSON.stringify(messageData)
-                });
-            }
-            
-            currentResult = {
-                number: recipient.phone,
-                success: true,
-                result: result,
-                personalizedMessage: personalizedMessage
-            };
-            
-            results.push(currentResult);
+        progress.results.forEach(result => {
+            addRealTimeResult({
+                number: result.phone,
+                success: result.status === 'sent',
+                error: result.error_message
+            }, broadcastState.processed, progress.total_recipients);
             
-        } catch (error) {
-            console.error(`Error sending to ${recipient.phone}:`, error);
-            currentResult = {
-                number: recipient.phone,
-                success: false,
-                error: error.message
-            };
-            results.push(currentResult);
+            broadcastState.processed++;
+            broadcastState.lastResultId = result.id;
+        });
+        
+        broadcastState.status = progress.status;
+        updateBroadcastButtons(progress);
+        
+        const isFinished = progress.status === 'completed' || progress.status === 'stopped';
+        if (isFinished && broadcastState.processed >= progress.processed) {
+            finishBroadcastObservation(progress);
         }
         
-        // Add result to real-time display immediately
-        addRealTimeResult(currentResult, i, recipientData.length);
+    } catch (error) {
+        console.error('Failed to poll broadcast progress:', error);
+    }
+}
+
+function updateBroadcastButtons(progress) {
+    const sendButton = document.getElementById('sendButton');
+    const pauseButton = document.getElementById('pauseButton');
+    const counter = `(${progress.processed}/${progress.total_recipients})`;
+    
+    if (progress.status === 'paused') {
+        sendButton.innerHTML = `<i class="fas fa-pause me-2"></i>Di-pause... ${counter}`;
+        pauseButton.innerHTML = '<i class="fas fa-play me-2"></i>Resume';
+        pauseButton.classList.remove('btn-warning');
+        pauseButton.classList.add('btn-success');
+    } else {
+        sendButton.innerHTML = `<i class="fas fa-spinner fa-spin me-2"></i>Mengirim ${counter}...`;
+        pauseButton.innerHTML = '<i class="fas fa-pause me-2"></i>Pause';
+        pauseButton.classList.remove('btn-success');
+        pauseButton.classList.add('btn-warning');
+    }
+}
+
+function finishBroadcastObservation(progress) {
+    stopBroadcastPolling();
+    localStorage.removeItem('activeBroadcastId');
+    
+    const isStopped = progress.status === 'stopped';
+    const finalStatus = isStopped ? 
+        `🛑 Broadcast dihentikan (${progress.sent_count}/${progress.total_recipients})` : 
+        `✅ Broadcast selesai! (${progress.sent_count}/${progress.total_recipients})`;
+    
+    const resultsBox = document.getElementById('sendResults');
+    if (resultsBox) {
+        resultsBox.insertAdjacentHTML('beforeend', `
+            <div class="py-2 px-3 mt-2 bg-info text-white rounded text-center">
+                <strong>${finalStatus}</strong>
+            </div>
+        `);
         
-        // Add random delay between sends (except for the last one)
-        if (i < recipientData.length - 1 && !broadcastState.isStopped) {
-            const randomDelay = Math.floor(Math.random() * (delayMax - delayMin + 1) + delayMin) * 1000; // Convert to milliseconds
-            console.log(`⏱️ Waiting ${randomDelay/1000}s before next message...`);
-            
-            // Update button to show waiting status
-            const submitBtn = document.querySelector('#sendMessageForm button[type="submit"]');
-            let countdown = Math.floor(randomDelay / 1000);
-            
-            const countdownInterval = setInterval(() => {
-                // Check if stopped during countdown
-                if (broadcastState.isStopped) {
-                    clearInterval(countdownInterval);
-                    return;
-                }
-                
-                // Check if paused during countdown
-                if (broadcastState.isPaused) {
-                    submitBtn.innerHTML = `<i class="fas fa-pause me-2"></i>Di-pause saat delay... (${i + 1}/${recipientData.length})`;
-                    return;
-                }
-                
-                submitBtn.innerHTML = `<i class="fas fa-clock me-2"></i>Tunggu ${countdown}s... (${i + 1}/${recipientData.length})`;
-                countdown--;
-                if (countdown < 0) {
-                    clearInterval(countdownInterval);
-                }
-            }, 1000);
-            
-            // Wait with pause/stop checking
-            for (let delayCount = 0; delayCount < randomDelay / 100; delayCount++) {
-                if (broadcastState.isStopped) break;
-                
-                // If paused, wait until resumed
-                while (broadcastState.isPaused && !broadcastState.isStopped) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-                
-                if (!broadcastState.isStopped) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-            }
-            
-            clearInterval(countdownInterval);
+        // Auto scroll to bottom
+        const parentContainer = resultsBox.parentElement;
+        if (parentContainer) {
+            parentContainer.scrollTop = parentContainer.scrollHeight;
         }
     }
     
-    return results;
+    let message = `✅ Berhasil mengirim ke ${progress.sent_count} penerima`;
+    if (progress.failed_count > 0) {
+        message += `, gagal ${progress.failed_count} penerima`;
+    }
+    showAlert(message, progress.sent_count > 0 ? 'success' : 'danger');
+    
+    if (isStopped) {
+        showAlert(`🛑 Broadcast dihentikan. Terkirim: ${progress.sent_count}/${progress.total_recipients}`, 'warning');
+    }
+    
+    resetBroadcastUI();
+}
+
+function stopBroadcastPolling() {
+    if (broadcastState.pollTimer) {
+        clearInterval(broadcastState.pollTimer);
+        broadcastState.pollTimer = null;
+    }
+}
+
+// Re-attach to a broadcast that was still running when the page was closed
+async function resumeBroadcastObservation() {
+    const jobId = localStorage.getItem('activeBroadcastId');
+    if (!jobId || broadcastState.jobId) return;
+    
+    try {
+        const response = await fetch(`/api/broadcasts/${jobId}`);
+        const job = response.ok ? await response.json() : null;
+        
+        if (job && (job.status === 'running' || job.status === 'paused')) {
+            observeBroadcast(job.id);
+        } else {
+            localStorage.removeItem('activeBroadcastId');
+        }
+    } catch (error) {
+        console.error('Failed to resume broadcast observation:', error);
+    }
+}
+
+// Scheduled messages and broadcasts
+async function loadScheduledMessages() {
+    const container = document.getElementById('scheduledMessagesList');
+    if (!container) return;
+    
+    try {
+        const data = await apiCall('/api/messages/scheduled?status=pending');
+        const broadcasts = await apiCall('/api/broadcasts?status=scheduled');
+        
+        if (data.messages.length === 0 && broadcasts.length === 0) {
+            container.innerHTML = `
+                <div class="text-muted text-center py-3">
+                    <i class="fas fa-inbox me-1"></i>
+                    Tidak ada pesan terjadwal
+                </div>
+            `;
+            return;
+        }
+        
+        const broadcastRows = broadcasts.map(job => renderScheduledRow(
+            `<i class="fas fa-bullhorn me-1"></i>Broadcast ${job.total_recipients} penerima`,
+            job.scheduled_at,
+            !!job.media_path,
+            `rescheduleScheduledBroadcast(${job.id})`,
+            `cancelScheduledBroadcast(${job.id})`
+        ));
+        
+        const messageRows = data.messages.map(msg => renderScheduledRow(
+            msg.phone,
+            msg.scheduled_at,
+            !!msg.media_path,
+            `rescheduleScheduledMessage(${msg.id})`,
+            `cancelScheduledMessage(${msg.id})`
+        ));
+        
+        container.innerHTML = [...broadcastRows, ...messageRows].join('');
+        
+    } catch (error) {
+        console.error('Failed to load scheduled messages:', error);
+    }
+}
+
+function renderScheduledRow(label, scheduledAt, hasMedia, rescheduleAction, cancelAction) {
+    return `
+        <div class="d-flex align-items-center py-1 px-2 mb-1 rounded bg-light">
+            <div class="flex-grow-1">
+                <div class="font-monospace small">${label}</div>
+                <small class="text-muted">
+                    ${formatDate(scheduledAt)}${hasMedia ? ' <i class="fas fa-paperclip"></i>' : ''}
+                </small>
+            </div>
+            <button class="btn btn-sm btn-outline-primary me-1" onclick="${rescheduleAction}" title="Ubah jadwal">
+                <i class="fas fa-calendar-alt"></i>
+            </button>
+            <button class="btn btn-sm btn-outline-danger" onclick="${cancelAction}" title="Batalkan">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `;
+}
+
+// Returns an ISO timestamp from the user's input, or null if cancelled/invalid
+function promptScheduleTime() {
+    const input = prompt('Jadwal baru (YYYY-MM-DD HH:MM):');
+    if (!input) return null;
+    
+    const scheduledAt = new Date(input.trim().replace(' ', 'T'));
+    if (isNaN(scheduledAt.getTime())) {
+        showAlert('Format jadwal tidak valid', 'warning');
+        return null;
+    }
+    
+    return scheduledAt.toISOString();
+}
+
+async function cancelScheduledMessage(id) {
+    if (!confirm('Batalkan pesan terjadwal ini?')) return;
+    
+    try {
+        await apiCall(`/api/messages/scheduled/${id}/cancel`, { method: 'POST' });
+        showAlert('Pesan terjadwal dibatalkan', 'success');
+        loadScheduledMessages();
+    } catch (error) {
+        console.error('Failed to cancel scheduled message:', error);
+    }
+}
+
+async function rescheduleScheduledMessage(id) {
+    const scheduledAt = promptScheduleTime();
+    if (!scheduledAt) return;
+    
+    try {
+        await apiCall(`/api/messages/scheduled/${id}/reschedule`, {
+            method: 'POST',
+            body: JSON.stringify({ scheduledAt })
+        });
+        showAlert('Jadwal pesan diperbarui', 'success');
+        loadScheduledMessages();
+    } catch (error) {
+        console.error('Failed to reschedule message:', error);
+    }
+}
+
+async function cancelScheduledBroadcast(id) {
+    if (!confirm('Batalkan broadcast terjadwal ini?')) return;
+    
+    try {
+        await apiCall(`/api/broadcasts/${id}/stop`, { method: 'POST' });
+        showAlert('Broadcast terjadwal dibatalkan', 'success');
+        loadScheduledMessages();
+    } catch (error) {
+        console.error('Failed to cancel scheduled broadcast:', error);
+    }
+}
+
+async function rescheduleScheduledBroadcast(id) {
+    const scheduledAt = promptScheduleTime();
+    if (!scheduledAt) return;
+    
+    try {
+        await apiCall(`/api/broadcasts/${id}/reschedule`, {
+            method: 'POST',
+            body: JSON.stringify({ scheduledAt })
+        });
+        showAlert('Jadwal broadcast diperbarui', 'success');
+        loadScheduledMessages();
+    } catch (error) {
+        console.error('Failed to reschedule broadcast:', error);
+    }
 }
 
 function updateMessagePreview() {
@@ -1767,6 +2141,292 @@ function insertTemplate(type) {
     updateCharCount();
 }
 
+// ========================= INBOX FUNCTIONS =========================
+const INBOX_MEDIA_LABELS = {
+    image: '[Gambar]',
+    video: '[Video]',
+    audio: '[Audio]',
+    document: '[Dokumen]',
+    sticker: '[Stiker]',
+    location: '[Lokasi]',
+    contact: '[Kontak]'
+};
+
+const INBOX_SOURCE_LABELS = {
+    campaign: 'Kampanye',
+    direct: 'Pesan langsung',
+    scheduled: 'Terjadwal',
+    broadcast: 'Broadcast'
+};
+
+async function loadInbox() {
+    await loadInboxAccounts();
+    await loadConversations();
+    
+    stopInboxPolling();
+    inboxState.pollTimer = setInterval(refreshInbox, INBOX_POLL_INTERVAL);
+}
+
+function stopInboxPolling() {
+    if (inboxState.pollTimer) {
+        clearInterval(inboxState.pollTimer);
+        inboxState.pollTimer = null;
+    }
+}
+
+// Polls without the loading overlay so typing a reply is not interrupted;
+// new messages in the open conversation are read as they come in
+async function refreshInbox() {
+    try {
+        const conversationId = inboxState.conversation?.id;
+        
+        if (conversationId && await loadThread(true)) {
+            await fetch(`/api/inbox/${conversationId}/read`, { method: 'POST' });
+        }
+    } catch (error) {
+        console.error('Failed to refresh conversation:', error);
+    }
+    
+    await loadConversations();
+}
+
+async function loadInboxAccounts() {
+    try {
+        const accounts = await apiCall('/api/accounts');
+        const select = document.getElementById('inboxAccountFilter');
+        const currentValue = select.value;
+        
+        select.innerHTML = '<option value="">Semua Akun</option>';
+        
+        accounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = `${account.name} (${account.phone || 'Unknown'})`;
+            select.appendChild(option);
+        });
+        
+        select.value = currentValue;
+    } catch (error) {
+        console.error('Failed to load inbox accounts:', error);
+    }
+}
+
+async function loadInboxBadge() {
+    try {
+        const response = await fetch('/api/inbox?limit=1');
+        const data = await response.json();
+        updateInboxBadge(data.unread_total);
+    } catch (error) {
+        console.error('Failed to load inbox unread count:', error);
+    }
+}
+
+function updateInboxBadge(unreadTotal) {
+    const badge = document.getElementById('inbox-unread-badge');
+    badge.textContent = unreadTotal;
+    badge.style.display = unreadTotal > 0 ? 'inline-block' : 'none';
+}
+
+async function loadConversations() {
+    try {
+        const params = new URLSearchParams();
+        const accountId = document.getElementById('inboxAccountFilter').value;
+        const search = document.getElementById('inboxSearch').value.trim();
+        
+        if (accountId) params.set('account_id', accountId);
+        if (search) params.set('search', search);
+        
+        const response = await fetch(`/api/inbox?${params}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+        
+        const list = document.getElementById('inbox-conversations');
+        
+        if (data.conversations.length === 0) {
+            list.innerHTML = '<div class="list-group-item text-center text-muted">Belum ada pesan masuk</div>';
+        } else {
+            list.innerHTML = data.conversations.map(conversation => `
+                <a href="#" class="list-group-item list-group-item-action ${inboxState.conversation?.id === conversation.id ? 'active' : ''}"
+                   onclick="openConversation(${conversation.id}); return false;">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <strong>${escapeHtml(getConversationName(conversation))}</strong>
+                        ${conversation.unread_count > 0 ? `<span class="badge bg-danger">${conversation.unread_count}</span>` : ''}
+                    </div>
+                    <small class="text-muted d-block">${escapeHtml(conversation.account_name || '')} • ${conversation.last_message_at ? formatDate(conversation.last_message_at) : '-'}</small>
+                    <small class="d-block text-truncate">${escapeHtml(conversation.last_message_preview || '')}</small>
+                </a>
+            `).join('');
+        }
+        
+        // The badge counts every account, the list may be filtered
+        if (!accountId) {
+            updateInboxBadge(data.unread_total);
+        } else {
+            loadInboxBadge();
+        }
+    } catch (error) {
+        console.error('Failed to load conversations:', error);
+    }
+}
+
+function getConversationName(conversation) {
+    const name = conversation.contact_name || conversation.sender_name;
+    return name ? `${name} (${conversation.phone})` : conversation.phone;
+}
+
+async function openConversation(conversationId) {
+    try {
+        inboxState.conversation = await apiCall(`/api/inbox/${conversationId}?limit=1`);
+        inboxState.olderLoaded = false;
+        inboxState.latestInboundAt = null;
+        
+        document.getElementById('inbox-thread-title').textContent = getConversationName(inboxState.conversation);
+        document.getElementById('inbox-thread-subtitle').textContent = `via ${inboxState.conversation.account_name || '-'}`;
+        document.getElementById('inboxReplyText').disabled = false;
+        document.getElementById('inboxReplyButton').disabled = false;
+        
+        await loadThread();
+        
+        await fetch(`/api/inbox/${conversationId}/read`, { method: 'POST' });
+        await loadConversations();
+    } catch (error) {
+        console.error('Failed to open conversation:', error);
+    }
+}
+
+// Loads the latest messages; while polling, the scroll position is kept
+// unless the thread was already scrolled to the bottom. Returns true when a
+// poll brought in a new inbound message.
+async function loadThread(polling = false) {
+    // A refresh would drop the older pages the user is reading
+    if (polling && inboxState.olderLoaded) {
+        return false;
+    }
+    
+    const thread = document.getElementById('inbox-thread');
+    const atBottom = thread.scrollTop + thread.clientHeight >= thread.scrollHeight - 20;
+    
+    const response = await fetch(`/api/inbox/${inboxState.conversation.id}/thread`);
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.error);
+    }
+    
+    const latestInboundAt = data.messages.filter(message => message.direction === 'in').pop()?.at || null;
+    const newInbound = polling && latestInboundAt !== null && latestInboundAt !== inboxState.latestInboundAt;
+    
+    inboxState.oldestAt = data.messages[0]?.at || null;
+    inboxState.latestInboundAt = latestInboundAt;
+    thread.innerHTML = renderThreadMessages(data.messages, data.has_more);
+    
+    if (!polling || atBottom) {
+        thread.scrollTop = thread.scrollHeight;
+    }
+    
+    return newInbound;
+}
+
+async function loadOlderMessages() {
+    try {
+        const thread = document.getElementById('inbox-thread');
+        const previousHeight = thread.scrollHeight;
+        
+        const data = await apiCall(`/api/inbox/${inboxState.conversation.id}/thread?before=${encodeURIComponent(inboxState.oldestAt)}`);
+        
+        document.getElementById('inbox-load-older')?.remove();
+        
+        if (data.messages.length === 0) {
+            return;
+        }
+        
+        thread.insertAdjacentHTML('afterbegin', renderThreadMessages(data.messages, data.has_more));
+        inboxState.oldestAt = data.messages[0].at;
+        inboxState.olderLoaded = true;
+        
+        // Keep the message that was at the top in view
+        thread.scrollTop = thread.scrollHeight - previousHeight;
+    } catch (error) {
+        console.error('Failed to load older messages:', error);
+    }
+}
+
+function renderThreadMessages(messages, hasMore) {
+    if (messages.length === 0) {
+        return '<div class="text-center text-muted">Belum ada pesan</div>';
+    }
+    
+    const olderButton = hasMore ? `
+        <div class="text-center mb-2" id="inbox-load-older">
+            <button class="btn btn-sm btn-outline-secondary" onclick="loadOlderMessages()">Muat pesan sebelumnya</button>
+        </div>
+    ` : '';
+    
+    return olderButton + messages.map(message => {
+        const media = message.media_type ? `<em>${INBOX_MEDIA_LABELS[message.media_type] || message.media_type}</em>${message.text ? '\n' : ''}` : '';
+        const meta = [
+            formatDate(message.at),
+            message.direction === 'out' ? INBOX_SOURCE_LABELS[message.source] : null,
+            message.status && message.status !== 'sent' ? message.status : null
+        ].filter(Boolean).join(' • ');
+        
+        return `
+            <div class="chat-bubble chat-bubble-${message.direction}">${media}${escapeHtml(message.text || '')}<span class="chat-bubble-meta">${meta}</span></div>
+        `;
+    }).join('');
+}
+
+function updateInboxMediaLabel() {
+    const file = document.getElementById('inboxReplyMedia').files[0];
+    document.getElementById('inboxReplyMediaName').textContent = file ? `📎 ${file.name} (${formatFileSize(file.size)})` : '';
+}
+
+// Replies go through the normal single-send endpoint, so quotas apply and
+// the reply is recorded for the thread
+async function sendInboxReply(event) {
+    event.preventDefault();
+    
+    if (!inboxState.conversation) {
+        return;
+    }
+    
+    const text = document.getElementById('inboxReplyText').value.trim();
+    const mediaFile = document.getElementById('inboxReplyMedia').files[0];
+    
+    if (!text && !mediaFile) {
+        showAlert('Tulis pesan atau lampirkan media terlebih dahulu', 'warning');
+        return;
+    }
+    
+    try {
+        const formData = new FormData();
+        formData.append('fromAccountId', inboxState.conversation.account_id);
+        formData.append('toNumber', inboxState.conversation.phone);
+        formData.append('message', text);
+        
+        if (mediaFile) {
+            formData.append('media', mediaFile);
+        }
+        
+        await apiCall('/api/messages/send-media', {
+            method: 'POST',
+            body: formData
+        });
+        
+        document.getElementById('inboxReplyForm').reset();
+        updateInboxMediaLabel();
+        
+        inboxState.olderLoaded = false;
+        await loadThread();
+        await loadConversations();
+    } catch (error) {
+        console.error('Failed to send reply:', error);
+    }
+}
+
 // Media upload functions
 function handleMediaSelection() {
     const fileInput = document.getElementById('mediaFile');
@@ -1871,6 +2531,12 @@ async function loadLogs() {
 }
 
 // Utility functions
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 function getStatusIcon(status) {
     const icons = {
         connected: 'fas fa-check-circle text-success',
@@ -1881,6 +2547,36 @@ function getStatusIcon(status) {
     return icons[status] || 'fas fa-question-circle text-secondary';
 }
 
+// Running campaigns can be held back (e.g. outside their send window) and paused automatically
+function getCampaignStatusLabel(campaign) {
+    const waitingLabels = {
+        waiting_for_window: 'MENUNGGU JAM KIRIM',
+        waiting_for_quota: 'MENUNGGU KUOTA',
+        waiting_for_winner: 'MENUNGGU HASIL A/B TEST'
+    };
+    
+    const pauseLabels = {
+        account_disconnected: 'AKUN TERPUTUS',
+        consecutive_failures: 'TERLALU BANYAK GAGAL',
+        pool_exhausted: 'SEMUA AKUN POOL PENUH'
+    };
+    
+    if (campaign.status === 'paused' && campaign.pause_reason) {
+        return `PAUSED (${pauseLabels[campaign.pause_reason] || campaign.pause_reason.toUpperCase()})`;
+    }
+    
+    if (campaign.status === 'running' && campaign.waiting_reason) {
+        const label = waitingLabels[campaign.waiting_reason] || campaign.waiting_reason.toUpperCase();
+        return campaign.waiting_until ? `${label} (${formatDate(campaign.waiting_until)})` : label;
+    }
+    
+    if (campaign.status === 'pending_approval') {
+        return 'MENUNGGU PERSETUJUAN';
+    }
+    
+    return campaign.status.toUpperCase();
+}
+
 function formatDate(dateString) {
     const date = new Date(dateString);
     return date.toLocaleDateString('id-ID', {
@@ -2012,31 +2708,32 @@ function setupBroadcastControls() {
     if (!pauseButton || !stopButton) return; // Not on messages page
     
     // Pause button handler
-    pauseButton.addEventListener('click', function() {
-        if (broadcastState.isPaused) {
-            // Resume
-            broadcastState.isPaused = false;
-            this.innerHTML = '<i class="fas fa-pause me-2"></i>Pause';
-            this.classList.remove('btn-success');
-            this.classList.add('btn-warning');
-            showAlert('Broadcast dilanjutkan', 'info');
-        } else {
-            // Pause
-            broadcastState.isPaused = true;
-            this.innerHTML = '<i class="fas fa-play me-2"></i>Resume';
-            this.classList.remove('btn-warning');
-            this.classList.add('btn-success');
-            showAlert('Broadcast di-pause', 'warning');
+    pauseButton.addEventListener('click', async function() {
+        if (!broadcastState.jobId) return;
+        
+        const isPaused = broadcastState.status === 'paused';
+        
+        try {
+            await apiCall(`/api/broadcasts/${broadcastState.jobId}/${isPaused ? 'resume' : 'pause'}`, { method: 'POST' });
+            showAlert(isPaused ? 'Broadcast dilanjutkan' : 'Broadcast di-pause', isPaused ? 'info' : 'warning');
+            pollBroadcastProgress();
+        } catch (error) {
+            console.error('Failed to toggle broadcast pause:', error);
         }
     });
     
     // Stop button handler
-    stopButton.addEventListener('click', function() {
+    stopButton.addEventListener('click', async function() {
+        if (!broadcastState.jobId) return;
+        
         if (confirm('Yakin ingin menghentikan broadcast? Proses tidak bisa dilanjutkan.')) {
-            broadcastState.isStopped = true;
-            broadcastState.isPaused = false;
-            showAlert('Broadcast dihentikan oleh user', 'danger');
-            resetBroadcastUI();
+            try {
+                await apiCall(`/api/broadcasts/${broadcastState.jobId}/stop`, { method: 'POST' });
+                showAlert('Broadcast dihentikan oleh user', 'danger');
+                pollBroadcastProgress();
+            } catch (error) {
+                console.error('Failed to stop broadcast:', error);
+            }
         }
     });
 }
@@ -2178,12 +2875,13 @@ function resetBroadcastUI() {
     disableBroadcastForm(false);
     
     // Reset broadcast state
+    stopBroadcastPolling();
     broadcastState = {
-        isRunning: false,
-        isPaused: false,
-        isStopped: false,
-        currentIndex: 0,
-        totalRecipients: 0
+        jobId: null,
+        status: null,
+        lastResultId: 0,
+        processed: 0,
+        pollTimer: null
     };
 }
 
@@ -2232,28 +2930,6 @@ function parseRecipients(text) {
     return uniqueRecipients;
 }
 
-// Process message template with placeholders (supports {text1} to {text10})
-function processMessageTemplate(template, recipientData) {
-    let message = template;
-    const maxVariables = 10; // Support up to {text1} to {text10}
-    
-    // Replace all placeholders from {text1} to {text10}
-    for (let i = 1; i <= maxVariables; i++) {
-        const placeholder = `{text${i}}`;
-        let value = '';
-        
-        // Get value if recipient has data and the index exists
-        if (recipientData.hasData && recipientData.data && recipientData.data.length >= i) {
-            value = recipientData.data[i - 1] || ''; // Use empty string if undefined
-        }
-        
-        // Replace all occurrences of this placeholder
-        message = message.replace(new RegExp(`\\{text${i}\\}`, 'g'), value);
-    }
-    
-    return message;
-}
-
 // Display send results in the results box
 function displaySendResults(results) {
     const sendResultsCard = document.getElementById('sendResultsCard');
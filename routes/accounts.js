@@ -2,16 +2,25 @@ const express = require('express');
 const router = express.Router();
 const models = require('../models');
 const whatsappService = require('../services/whatsapp');
+const sendQuota = require('../services/sendQuota');
 const { Op } = require('sequelize');
 
 router.get('/', async (req, res) => {
     try {
         const accounts = await models.Account.findAll({
-            attributes: ['id', 'name', 'phone', 'status', 'qr_code', 'created_at', 'updated_at', 'last_connected'],
+            attributes: ['id', 'name', 'phone', 'status', 'qr_code', 'created_at', 'updated_at', 'last_connected', 'hourly_quota', 'daily_quota'],
             order: [['created_at', 'DESC']]
         });
         
-        res.json(accounts);
+        const result = [];
+        for (const account of accounts) {
+            result.push({
+                ...account.toJSON(),
+                quota_usage: await sendQuota.getUsage(account)
+            });
+        }
+        
+        res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -21,14 +30,17 @@ router.get('/:id', async (req, res) => {
     try {
         const { id } = req.params;
         const account = await models.Account.findByPk(id, {
-            attributes: ['id', 'name', 'phone', 'status', 'qr_code', 'created_at', 'updated_at', 'last_connected']
+            attributes: ['id', 'name', 'phone', 'status', 'qr_code', 'created_at', 'updated_at', 'last_connected', 'hourly_quota', 'daily_quota']
         });
         
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
         
-        res.json(account);
+        res.json({
+            ...account.toJSON(),
+            quota_usage: await sendQuota.getUsage(account)
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -207,6 +219,53 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+// Sets the send quotas; null or an empty value removes a limit
+router.put('/:id/quota', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const quotas = {};
+        
+        for (const field of ['hourly_quota', 'daily_quota']) {
+            if (!(field in req.body)) {
+                continue;
+            }
+            
+            const value = req.body[field];
+            
+            if (value === null || value === '') {
+                quotas[field] = null;
+            } else if (Number.isInteger(Number(value)) && Number(value) >= 0) {
+                quotas[field] = Number(value);
+            } else {
+                return res.status(400).json({ error: `${field} must be a non-negative integer or null` });
+            }
+        }
+        
+        const account = await models.Account.findByPk(id);
+        
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        
+        await account.update(quotas);
+        
+        await models.ActivityLog.create({
+            account_id: id,
+            action: 'quota_updated',
+            description: `Send quota set to ${account.hourly_quota ?? 'unlimited'}/hour and ${account.daily_quota ?? 'unlimited'}/day`
+        });
+        
+        res.json({
+            message: 'Account quota updated successfully',
+            hourly_quota: account.hourly_quota,
+            daily_quota: account.daily_quota,
+            quota_usage: await sendQuota.getUsage(account)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 router.delete('/:id', async (req, res) => {
     try {
         const { id } = req.params;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const deliveryFunnel = require('../services/deliveryFunnel');
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&campaign_id=&account_id=
+router.get('/funnel', async (req, res) => {
+    try {
+        const filters = {
+            from: req.query.from,
+            to: req.query.to,
+            campaign_id: req.query.campaign_id,
+            account_id: req.query.account_id
+        };
+
+        const filterError = deliveryFunnel.validateFilters(filters);
+
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        res.json(await deliveryFunnel.getFunnel(filters));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
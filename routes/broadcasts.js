@@ -0,0 +1,375 @@
+const express = require('express');
+const router = express.Router();
+const models = require('../models');
+const multer = require('multer');
+const fs = require('fs-extra');
+const broadcastRunner = require('../services/broadcastRunner');
+const scheduler = require('../services/scheduler');
+const { Op } = require('sequelize');
+
+const upload = multer({
+    dest: 'uploads/temp/',
+    limits: {
+        fileSize: 16 * 1024 * 1024,
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedMimes = [
+            'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+            'video/mp4', 'video/avi', 'video/mov', 'video/wmv',
+            'audio/mp3', 'audio/wav', 'audio/aac', 'audio/ogg',
+            'application/pdf', 'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        ];
+
+        if (allowedMimes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('File type not supported'), false);
+        }
+    }
+});
+
+async function removeUploadedFile(file) {
+    if (file && file.path) {
+        try {
+            await fs.unlink(file.path);
+        } catch (cleanupError) {
+            console.log('File cleanup warning:', cleanupError.message);
+        }
+    }
+}
+
+function formatJob(job) {
+    const data = job.toJSON();
+    const processed = data.sent_count + data.failed_count;
+
+    return {
+        ...data,
+        account_name: data.account?.name,
+        account_phone: data.account?.phone,
+        processed,
+        percent: data.total_recipients > 0 ? Math.round((processed / data.total_recipients) * 100) : 0
+    };
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const { status, limit = 20 } = req.query;
+
+        const whereClause = status ? { status } : {};
+
+        const jobs = await models.BroadcastJob.findAll({
+            where: whereClause,
+            include: [
+                {
+                    model: models.Account,
+                    as: 'account',
+                    attributes: ['name', 'phone']
+                }
+            ],
+            order: [['created_at', 'DESC']],
+            limit: parseInt(limit)
+        });
+
+        res.json(jobs.map(formatJob));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/', (req, res, next) => {
+    upload.single('media')(req, res, (err) => {
+        if (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({ error: 'File too large. Maximum size is 16MB.' });
+            } else if (err.message === 'File type not supported') {
+                return res.status(400).json({ error: 'File type not supported. Please use images, videos, audio, or documents.' });
+            }
+
+            return res.status(400).json({ error: 'Upload error: ' + err.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const mediaFile = req.file;
+
+    try {
+        const { fromAccountId, recipients, message, delayMin, delayMax, scheduledAt } = req.body;
+
+        let recipientList;
+        try {
+            recipientList = typeof recipients === 'string' ? JSON.parse(recipients) : recipients;
+        } catch (e) {
+            await removeUploadedFile(mediaFile);
+            return res.status(400).json({ error: 'Invalid recipients format' });
+        }
+
+        if (!fromAccountId || !Array.isArray(recipientList) || recipientList.length === 0) {
+            await removeUploadedFile(mediaFile);
+            return res.status(400).json({ error: 'fromAccountId and a non-empty recipients array are required' });
+        }
+
+        if (!message?.trim() && !mediaFile) {
+            await removeUploadedFile(mediaFile);
+            return res.status(400).json({ error: 'Either message or media file is required' });
+        }
+
+        // Recipients are either plain numbers or { phone, data: [...] } for mail merge
+        const normalized = recipientList.map(r => typeof r === 'object' && r !== null
+            ? { phone: String(r.phone || '').replace(/\D/g, ''), data: Array.isArray(r.data) ? r.data : [] }
+            : { phone: String(r).replace(/\D/g, ''), data: [] });
+
+        const phoneRegex = /^[0-9]{10,15}$/;
+        const invalidNumbers = normalized.filter(r => !phoneRegex.test(r.phone)).map(r => r.phone);
+        if (invalidNumbers.length > 0) {
+            await removeUploadedFile(mediaFile);
+            return res.status(400).json({
+                error: 'Invalid phone numbers',
+                invalidNumbers: invalidNumbers
+            });
+        }
+
+        let scheduledTime = null;
+        if (scheduledAt) {
+            scheduledTime = scheduler.parseScheduleTime(scheduledAt);
+
+            if (!scheduledTime) {
+                await removeUploadedFile(mediaFile);
+                return res.status(400).json({ error: 'scheduledAt must be a valid date in the future' });
+            }
+        }
+
+        const account = await models.Account.findOne({
+            where: scheduledTime ? { id: fromAccountId } : { id: fromAccountId, status: 'connected' }
+        });
+
+        if (!account) {
+            await removeUploadedFile(mediaFile);
+            return res.status(400).json({ error: scheduledTime ? 'Account not found' : 'Account not found or not connected' });
+        }
+
+        // Drop duplicate numbers, keeping the first occurrence
+        const seen = new Set();
+        const uniqueRecipients = normalized.filter(r => {
+            if (seen.has(r.phone)) return false;
+            seen.add(r.phone);
+            return true;
+        });
+
+        const parsedMin = parseInt(delayMin);
+        const parsedMax = parseInt(delayMax);
+        const minDelay = Number.isNaN(parsedMin) ? 10 : Math.max(parsedMin, 0);
+        const maxDelay = Math.max(Number.isNaN(parsedMax) ? 30 : parsedMax, minDelay);
+
+        const mediaPath = mediaFile ? await broadcastRunner.storeMedia(mediaFile) : null;
+
+        const job = await models.sequelize.transaction(async (t) => {
+            const job = await models.BroadcastJob.create({
+                account_id: fromAccountId,
+                message_template: message || null,
+                media_path: mediaPath,
+                media_mime_type: mediaFile?.mimetype || null,
+                media_original_name: mediaFile?.originalname || null,
+                delay_min: minDelay,
+                delay_max: maxDelay,
+                total_recipients: uniqueRecipients.length,
+                status: scheduledTime ? 'scheduled' : 'running',
+                scheduled_at: scheduledTime,
+                started_at: scheduledTime ? null : new Date()
+            }, { transaction: t });
+
+            await models.BroadcastRecipient.bulkCreate(uniqueRecipients.map(r => ({
+                job_id: job.id,
+                phone: r.phone,
+                message_text: broadcastRunner.renderMessage(message, r.data)
+            })), { transaction: t });
+
+            return job;
+        });
+
+        await models.ActivityLog.create({
+            account_id: fromAccountId,
+            action: scheduledTime ? 'broadcast_scheduled' : 'broadcast_started',
+            description: `Broadcast to ${uniqueRecipients.length} recipients ${scheduledTime ? 'scheduled for ' + scheduledTime.toISOString() : 'started'}`
+        });
+
+        if (!scheduledTime) {
+            broadcastRunner.start(job.id);
+        }
+
+        res.status(201).json({
+            id: job.id,
+            status: job.status,
+            total_recipients: job.total_recipients,
+            scheduled_at: job.scheduled_at,
+            message: scheduledTime ? 'Broadcast scheduled successfully' : 'Broadcast started successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating broadcast:', error);
+        await removeUploadedFile(mediaFile);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await models.BroadcastJob.findByPk(req.params.id, {
+            include: [
+                {
+                    model: models.Account,
+                    as: 'account',
+                    attributes: ['name', 'phone']
+                }
+            ]
+        });
+
+        if (!job) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+
+        res.json(formatJob(job));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Progress plus the recipients processed since `after` (a recipient id),
+// so observers can poll incrementally
+router.get('/:id/progress', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const after = parseInt(req.query.after) || 0;
+        const limit = parseInt(req.query.limit) || 100;
+
+        const job = await models.BroadcastJob.findByPk(id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+
+        const results = await models.BroadcastRecipient.findAll({
+            where: {
+                job_id: id,
+                id: { [Op.gt]: after },
+                status: { [Op.in]: ['sent', 'failed'] }
+            },
+            attributes: ['id', 'phone', 'status', 'error_message', 'sent_at'],
+            order: [['id', 'ASC']],
+            limit
+        });
+
+        const { processed, percent } = formatJob(job);
+
+        res.json({
+            id: job.id,
+            status: job.status,
+            total_recipients: job.total_recipients,
+            sent_count: job.sent_count,
+            failed_count: job.failed_count,
+            processed,
+            percent,
+            scheduled_at: job.scheduled_at,
+            started_at: job.started_at,
+            completed_at: job.completed_at,
+            results
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/pause', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [updated] = await models.BroadcastJob.update(
+            { status: 'paused' },
+            { where: { id, status: 'running' } }
+        );
+
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Broadcast not found or not running' });
+        }
+
+        res.json({ message: 'Broadcast paused successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/resume', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [updated] = await models.BroadcastJob.update(
+            { status: 'running' },
+            { where: { id, status: 'paused' } }
+        );
+
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Broadcast not found or not paused' });
+        }
+
+        broadcastRunner.start(id);
+
+        res.json({ message: 'Broadcast resumed successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/reschedule', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const scheduledTime = scheduler.parseScheduleTime(req.body.scheduledAt);
+
+        if (!scheduledTime) {
+            return res.status(400).json({ error: 'scheduledAt must be a valid date in the future' });
+        }
+
+        const [updated] = await models.BroadcastJob.update(
+            { scheduled_at: scheduledTime },
+            { where: { id, status: 'scheduled' } }
+        );
+
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Broadcast not found or not scheduled' });
+        }
+
+        res.json({
+            message: 'Broadcast rescheduled successfully',
+            scheduled_at: scheduledTime
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/stop', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const job = await models.BroadcastJob.findByPk(id);
+
+        const [updated] = await models.BroadcastJob.update(
+            { status: 'stopped', completed_at: new Date() },
+            { where: { id, status: { [Op.in]: ['scheduled', 'running', 'paused'] } } }
+        );
+
+        if (!job || updated === 0) {
+            return res.status(400).json({ error: 'Broadcast not found or already finished' });
+        }
+
+        // An active run removes the media itself once it sees the stop
+        if (!broadcastRunner.isRunning(id)) {
+            await broadcastRunner.removeMedia(job);
+        }
+
+        res.json({ message: 'Broadcast stopped successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,76 @@
 const express = require('express');
 const router = express.Router();
 const models = require('../models');
-const whatsappService = require('../services/whatsapp');
+const campaignRunner = require('../services/campaignRunner');
+const campaignBuilder = require('../services/campaignBuilder');
+const sendWindow = require('../services/sendWindow');
+const scheduler = require('../services/scheduler');
+const campaignPreflight = require('../services/campaignPreflight');
+const campaignEvents = require('../services/campaignEvents');
+const campaignReport = require('../services/campaignReport');
+const audienceService = require('../services/audience');
+const campaignVariants = require('../services/campaignVariants');
+const campaignPool = require('../services/campaignPool');
+const frequencyCap = require('../services/frequencyCap');
+const campaignApproval = require('../services/campaignApproval');
 const { Op, fn, col, literal } = require('sequelize');
 
+// Campaigns whose settings and targets may still change
+const EDITABLE_STATUSES = ['draft', 'paused'];
+
+// Which recipients of the source campaign a clone targets
+const CLONE_TARGETS = ['all', 'failed', 'skipped', 'not_read'];
+
+// [1, "2", 3] -> [1, 2, 3]; null when missing or not a list of ids
+function parseContactIds(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return null;
+    }
+    
+    const ids = value.map(id => parseInt(id));
+    return ids.every(id => Number.isInteger(id)) ? [...new Set(ids)] : null;
+}
+
+// Approve or reject a pending campaign; rejections need a comment
+async function decideApproval(req, res, decision) {
+    try {
+        const { id } = req.params;
+        const { approver, comment } = req.body;
+        
+        if (!campaignApproval.isApprover(req.get('X-Approver-Key'))) {
+            return res.status(403).json({ error: 'A valid X-Approver-Key header is required' });
+        }
+        
+        if (!approver || !String(approver).trim()) {
+            return res.status(400).json({ error: 'approver is required' });
+        }
+        
+        if (decision === 'rejected' && (!comment || !String(comment).trim())) {
+            return res.status(400).json({ error: 'A comment is required when rejecting' });
+        }
+        
+        const campaign = await models.Campaign.findByPk(id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        const decided = await campaignApproval.decide(campaign, decision, {
+            approver: String(approver).trim().slice(0, 100),
+            comment: comment ? String(comment).trim() : null,
+            ipAddress: req.ip
+        });
+        
+        if (!decided) {
+            return res.status(400).json({ error: 'Campaign is not waiting for approval' });
+        }
+        
+        res.json({ message: `Campaign ${decision}` });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
 router.get('/', async (req, res) => {
     try {
         const { status } = req.query;
@@ -44,6 +111,48 @@ router.get('/', async (req, res) => {
     }
 });
 
+// Server-Sent Events: a `progress` snapshot on connect, then `message` for every
+// send attempt and `progress` after each one and whenever the status changes
+router.get('/:id/events', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const progress = await campaignEvents.getProgress(id);
+        
+        if (!progress) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        
+        send('progress', progress);
+        
+        const unsubscribe = campaignEvents.subscribe(id, send);
+        
+        // Comment lines keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+        
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (error) {
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
 router.get('/:id', async (req, res) => {
     try {
         const { id } = req.params;
@@ -79,10 +188,14 @@ router.get('/:id', async (req, res) => {
         
         const stats = {
             pending: 0,
+            held: 0,
+            sending: 0,
             sent: 0,
             failed: 0,
+            skipped: 0,
             delivered: 0,
-            read: 0
+            read: 0,
+            undelivered: 0
         };
         
         messageStats.forEach(stat => {
@@ -98,7 +211,9 @@ router.get('/:id', async (req, res) => {
             template_name: result.template?.name,
             message_text: result.template?.message_text,
             media_path: result.template?.media_path,
-            message_stats: stats
+            message_stats: stats,
+            variants: await campaignVariants.getStats(id),
+            account_pool: await campaignPool.getStats(id)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -107,64 +222,163 @@ router.get('/:id', async (req, res) => {
 
 router.post('/', async (req, res) => {
     try {
-        const { name, account_id, template_id, target_contacts, delay_seconds } = req.body;
+        const { name, account_id, template_id, target_contacts, audience, delay_seconds, scheduled_at, max_attempts, retry_backoff_seconds,
+            max_consecutive_failures, send_window_start, send_window_end, send_window_days, send_window_timezone,
+            frequency_cap_max, frequency_cap_hours,
+            variants, variant_test_percent, variant_test_wait_minutes, variant_winner_metric, account_pool } = req.body;
         
-        if (!name || !account_id || !template_id || !target_contacts || !Array.isArray(target_contacts)) {
+        if (!name || (!account_id && !account_pool) || (!template_id && !variants) || (!Array.isArray(target_contacts) && !audience)) {
             return res.status(400).json({ 
-                error: 'Name, account_id, template_id, and target_contacts array are required' 
+                error: 'Name, account_id (or account_pool), template_id (or variants), and a target_contacts array or an audience are required' 
             });
         }
         
-        const account = await models.Account.findOne({
-            where: { id: account_id, status: 'connected' }
-        });
+        let pool = null;
+        if (account_pool) {
+            try {
+                pool = campaignPool.normalize(account_pool);
+            } catch (poolError) {
+                return res.status(400).json({ error: poolError.message });
+            }
+            
+            const poolError = await campaignPool.validateAccounts(pool);
+            
+            if (poolError) {
+                return res.status(400).json({ error: poolError });
+            }
+        }
+        
+        let variantDefinitions = null;
+        if (variants) {
+            try {
+                variantDefinitions = campaignVariants.normalize(variants);
+            } catch (variantError) {
+                return res.status(400).json({ error: variantError.message });
+            }
+            
+            const testError = campaignVariants.validateTest({ variant_test_percent, variant_test_wait_minutes, variant_winner_metric });
+            
+            if (testError) {
+                return res.status(400).json({ error: testError });
+            }
+            
+            for (const variant of variantDefinitions) {
+                variant.template = await models.MessageTemplate.findByPk(variant.template_id);
+                
+                if (!variant.template) {
+                    return res.status(400).json({ error: `Template ${variant.template_id} not found` });
+                }
+            }
+        }
+        
+        if (target_contacts && audience) {
+            return res.status(400).json({ error: 'Use either target_contacts or audience, not both' });
+        }
+        
+        let audienceDefinition = null;
+        if (audience) {
+            try {
+                audienceDefinition = audienceService.normalize(audience);
+            } catch (audienceError) {
+                return res.status(400).json({ error: audienceError.message });
+            }
+        }
+        
+        const scheduledAt = scheduled_at ? scheduler.parseScheduleTime(scheduled_at) : null;
+        
+        if (scheduled_at && !scheduledAt) {
+            return res.status(400).json({ error: 'scheduled_at must be a valid date in the future' });
+        }
+        
+        const hasSendWindow = !!(send_window_start || send_window_end);
+        
+        if (hasSendWindow) {
+            const windowError = sendWindow.validate({
+                start: send_window_start,
+                end: send_window_end,
+                days: send_window_days,
+                timezone: send_window_timezone
+            });
+            
+            if (windowError) {
+                return res.status(400).json({ error: windowError });
+            }
+        }
+        
+        const hasFrequencyCap = frequency_cap_max !== undefined && frequency_cap_max !== null && frequency_cap_max !== '';
+        
+        if (hasFrequencyCap) {
+            const capError = frequencyCap.validate({ max: frequency_cap_max, hours: frequency_cap_hours });
+            
+            if (capError) {
+                return res.status(400).json({ error: capError });
+            }
+        }
+        
+        // A pool campaign's own account is the first pool account
+        const account = pool
+            ? await models.Account.findByPk(pool[0].account_id)
+            : await models.Account.findOne({ where: { id: account_id, status: 'connected' } });
         
         if (!account) {
             return res.status(400).json({ error: 'Account not found or not connected' });
         }
         
-        const template = await models.MessageTemplate.findByPk(template_id);
+        // With variants the campaign's own template is the first variant's
+        const template = variantDefinitions ? variantDefinitions[0].template : await models.MessageTemplate.findByPk(template_id);
         
         if (!template) {
             return res.status(400).json({ error: 'Template not found' });
         }
         
+        // The audience is resolved once, at creation; later contact changes do not affect it
+        const contactIds = audienceDefinition ? await audienceService.resolve(audienceDefinition) : target_contacts;
+        
+        if (audienceDefinition && contactIds.length === 0) {
+            return res.status(400).json({ error: 'No active contacts match the audience' });
+        }
+        
         const result = await models.sequelize.transaction(async (t) => {
-            const campaign = await models.Campaign.create({
+            const campaign = await campaignBuilder.createCampaign({
                 name,
-                account_id,
-                template_id,
-                total_targets: target_contacts.length,
-                delay_seconds: delay_seconds || 5
-            }, { transaction: t });
+                account_id: account.id,
+                audience: audienceDefinition,
+                delay_seconds: delay_seconds || 5,
+                max_attempts: max_attempts || 3,
+                retry_backoff_seconds: retry_backoff_seconds || 60,
+                max_consecutive_failures: max_consecutive_failures ?? 10,
+                status: scheduledAt ? 'scheduled' : 'draft',
+                scheduled_at: scheduledAt,
+                send_window_start: hasSendWindow ? send_window_start : null,
+                send_window_end: hasSendWindow ? send_window_end : null,
+                send_window_days: hasSendWindow && send_window_days ? [].concat(send_window_days).join(',') : null,
+                send_window_timezone: hasSendWindow ? send_window_timezone || null : null,
+                frequency_cap_max: hasFrequencyCap ? parseInt(frequency_cap_max) : null,
+                frequency_cap_hours: hasFrequencyCap && parseInt(frequency_cap_max) > 0 ? parseInt(frequency_cap_hours) : null,
+                variant_test_percent: variantDefinitions && variant_test_percent ? parseInt(variant_test_percent) : null,
+                variant_test_wait_minutes: variant_test_wait_minutes ?? 60,
+                variant_winner_metric: variant_winner_metric || 'read'
+            }, template, contactIds, t, variantDefinitions);
             
-            for (const contactId of target_contacts) {
-                const contact = await models.Contact.findOne({
-                    where: { id: contactId, is_active: true },
-                    transaction: t
-                });
-                
-                if (contact) {
-                    let personalizedMessage = template.message_text;
-                    personalizedMessage = personalizedMessage.replace(/{name}/g, contact.name);
-                    personalizedMessage = personalizedMessage.replace(/{phone}/g, contact.phone);
-                    
-                    await models.CampaignMessage.create({
-                        campaign_id: campaign.id,
-                        contact_id: contact.id,
-                        phone: contact.phone,
-                        message_text: personalizedMessage,
-                        media_path: template.media_path
-                    }, { transaction: t });
-                }
+            if (pool) {
+                await campaignPool.setMembers(campaign.id, pool, t);
             }
             
+            await campaignApproval.holdForApproval(campaign, t);
+            
             return campaign;
         });
         
+        if (result.status === 'pending_approval') {
+            await campaignApproval.logSubmitted(result, req.ip);
+        }
+        
         res.status(201).json({
             id: result.id,
             name,
+            status: result.status,
+            scheduled_at: result.scheduled_at,
+            total_targets: result.total_targets,
             message: 'Campaign created successfully'
         });
         
@@ -173,26 +387,386 @@ router.post('/', async (req, res) => {
     }
 });
 
+// Draft and paused campaigns can be edited; a template change re-renders the pending messages
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, account_id, template_id, delay_seconds, max_attempts, retry_backoff_seconds,
+            max_consecutive_failures, send_window_start, send_window_end, send_window_days, send_window_timezone, account_pool,
+            frequency_cap_max, frequency_cap_hours } = req.body;
+        
+        const campaign = await models.Campaign.findByPk(id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        if (!EDITABLE_STATUSES.includes(campaign.status)) {
+            return res.status(400).json({ error: 'Only draft or paused campaigns can be edited' });
+        }
+        
+        const updateData = {};
+        
+        if (name !== undefined) {
+            if (!String(name).trim()) {
+                return res.status(400).json({ error: 'Name cannot be empty' });
+            }
+            updateData.name = String(name).trim();
+        }
+        
+        let pool = null;
+        if (account_pool !== undefined) {
+            try {
+                pool = campaignPool.normalize(account_pool);
+            } catch (poolError) {
+                return res.status(400).json({ error: poolError.message });
+            }
+            
+            const poolError = await campaignPool.validateAccounts(pool);
+            
+            if (poolError) {
+                return res.status(400).json({ error: poolError });
+            }
+            
+            updateData.account_id = pool[0].account_id;
+        } else if (account_id !== undefined && await campaignPool.isPooled(id)) {
+            return res.status(400).json({ error: 'Use account_pool to change the accounts of a pool campaign' });
+        }
+        
+        if (!pool && account_id !== undefined && parseInt(account_id) !== campaign.account_id) {
+            const account = await models.Account.findOne({
+                where: { id: account_id, status: 'connected' }
+            });
+            
+            if (!account) {
+                return res.status(400).json({ error: 'Account not found or not connected' });
+            }
+            
+            updateData.account_id = account.id;
+            
+            // The old account's reconnect no longer concerns this campaign
+            if (campaign.pause_reason === 'account_disconnected') {
+                updateData.pause_reason = null;
+            }
+        }
+        
+        let template = null;
+        if (template_id !== undefined && parseInt(template_id) !== campaign.template_id) {
+            if (await models.CampaignVariant.count({ where: { campaign_id: id } }) > 0) {
+                return res.status(400).json({ error: 'The template of an A/B tested campaign cannot be changed' });
+            }
+            
+            template = await models.MessageTemplate.findByPk(template_id);
+            
+            if (!template) {
+                return res.status(400).json({ error: 'Template not found' });
+            }
+            
+            updateData.template_id = template.id;
+        }
+        
+        const numericFields = { delay_seconds, max_attempts, retry_backoff_seconds, max_consecutive_failures };
+        for (const [field, value] of Object.entries(numericFields)) {
+            if (value === undefined) continue;
+            
+            const parsed = parseInt(value);
+            if (Number.isNaN(parsed) || parsed < 0) {
+                return res.status(400).json({ error: `${field} must be a non-negative number` });
+            }
+            updateData[field] = parsed;
+        }
+        
+        if (send_window_start !== undefined || send_window_end !== undefined) {
+            if (!send_window_start && !send_window_end) {
+                // Falls back to the global default window
+                Object.assign(updateData, {
+                    send_window_start: null,
+                    send_window_end: null,
+                    send_window_days: null,
+                    send_window_timezone: null
+                });
+            } else {
+                const windowError = sendWindow.validate({
+                    start: send_window_start,
+                    end: send_window_end,
+                    days: send_window_days,
+                    timezone: send_window_timezone
+                });
+                
+                if (windowError) {
+                    return res.status(400).json({ error: windowError });
+                }
+                
+                Object.assign(updateData, {
+                    send_window_start,
+                    send_window_end,
+                    send_window_days: send_window_days ? [].concat(send_window_days).join(',') : null,
+                    send_window_timezone: send_window_timezone || null
+                });
+            }
+        }
+        
+        if (frequency_cap_max !== undefined) {
+            if (frequency_cap_max === null || frequency_cap_max === '') {
+                // Falls back to the global default cap
+                Object.assign(updateData, { frequency_cap_max: null, frequency_cap_hours: null });
+            } else {
+                const capError = frequencyCap.validate({ max: frequency_cap_max, hours: frequency_cap_hours });
+                
+                if (capError) {
+                    return res.status(400).json({ error: capError });
+                }
+                
+                Object.assign(updateData, {
+                    frequency_cap_max: parseInt(frequency_cap_max),
+                    frequency_cap_hours: parseInt(frequency_cap_max) > 0 ? parseInt(frequency_cap_hours) : null
+                });
+            }
+        }
+        
+        let held = false;
+        const rerendered = await models.sequelize.transaction(async (t) => {
+            // The status guard keeps a campaign that was started meanwhile untouched
+            const [updated] = await models.Campaign.update(updateData, {
+                where: { id, status: { [Op.in]: EDITABLE_STATUSES } },
+                transaction: t
+            });
+            
+            if (updated === 0 && Object.keys(updateData).length > 0) {
+                return null;
+            }
+            
+            if (pool) {
+                await campaignPool.setMembers(id, pool, t);
+            }
+            
+            await campaignApproval.resetIfApproved(campaign, t);
+            
+            const count = template ? await campaignBuilder.rerenderPending(campaign, template, t) : 0;
+            held = await campaignApproval.holdIfPaused(campaign, t);
+            
+            return count;
+        });
+        
+        if (rerendered === null) {
+            return res.status(400).json({ error: 'Only draft or paused campaigns can be edited' });
+        }
+        
+        await campaign.reload();
+        
+        if (held) {
+            await campaignApproval.logSubmitted(campaign, req.ip);
+        }
+        
+        res.json({
+            message: held ? 'Campaign updated and waiting for approval' : 'Campaign updated successfully',
+            rerendered_messages: rerendered,
+            campaign
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Adds contacts to a draft or paused campaign, with messages rendered from its template
+router.post('/:id/targets/add', async (req, res) => {
+    try {
+        const contactIds = parseContactIds(req.body.contact_ids);
+        
+        if (!contactIds) {
+            return res.status(400).json({ error: 'contact_ids array is required' });
+        }
+        
+        const campaign = await models.Campaign.findByPk(req.params.id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        if (!EDITABLE_STATUSES.includes(campaign.status)) {
+            return res.status(400).json({ error: 'Targets can only be changed on draft or paused campaigns' });
+        }
+        
+        const template = await models.MessageTemplate.findByPk(campaign.template_id);
+        
+        if (!template) {
+            return res.status(400).json({ error: 'Template not found' });
+        }
+        
+        let held = false;
+        const result = await models.sequelize.transaction(async (t) => {
+            await campaignApproval.resetIfApproved(campaign, t);
+            const added = await campaignBuilder.addTargets(campaign, template, contactIds, t);
+            held = await campaignApproval.holdIfPaused(campaign, t);
+            return added;
+        });
+        
+        if (held) {
+            await campaignApproval.logSubmitted(campaign, req.ip);
+        }
+        
+        res.json({
+            message: `${result.added} targets added${held ? '; the campaign is waiting for approval' : ''}`,
+            ...result,
+            total_targets: campaign.total_targets,
+            status: held ? 'pending_approval' : campaign.status
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Removes contacts whose message has not been sent yet
+router.post('/:id/targets/remove', async (req, res) => {
+    try {
+        const contactIds = parseContactIds(req.body.contact_ids);
+        
+        if (!contactIds) {
+            return res.status(400).json({ error: 'contact_ids array is required' });
+        }
+        
+        const campaign = await models.Campaign.findByPk(req.params.id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        if (!EDITABLE_STATUSES.includes(campaign.status)) {
+            return res.status(400).json({ error: 'Targets can only be changed on draft or paused campaigns' });
+        }
+        
+        const result = await models.sequelize.transaction((t) => campaignBuilder.removeTargets(campaign, contactIds, t));
+        
+        res.json({
+            message: `${result.removed} targets removed`,
+            ...result,
+            total_targets: campaign.total_targets
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Creates a new draft from an earlier campaign's settings and audience
+router.post('/:id/clone', async (req, res) => {
+    try {
+        const { targets = 'all', template_id, account_id, name } = req.body;
+        
+        if (!CLONE_TARGETS.includes(targets)) {
+            return res.status(400).json({ error: `targets must be one of: ${CLONE_TARGETS.join(', ')}` });
+        }
+        
+        const source = await models.Campaign.findByPk(req.params.id);
+        
+        if (!source) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        // The pool is copied unless a single account was asked for
+        const sourcePool = account_id ? [] : await campaignPool.getMembers(source.id);
+        
+        if (sourcePool.length > 0) {
+            const poolError = await campaignPool.validateAccounts(sourcePool);
+            
+            if (poolError) {
+                return res.status(400).json({ error: poolError });
+            }
+        }
+        
+        const account = sourcePool.length > 0
+            ? await models.Account.findByPk(source.account_id)
+            : await models.Account.findOne({ where: { id: account_id || source.account_id, status: 'connected' } });
+        
+        if (!account) {
+            return res.status(400).json({ error: 'Account not found or not connected' });
+        }
+        
+        const template = await models.MessageTemplate.findByPk(template_id || source.template_id);
+        
+        if (!template) {
+            return res.status(400).json({ error: 'Template not found' });
+        }
+        
+        const contactIds = await campaignBuilder.getCloneTargets(source.id, targets);
+        
+        if (contactIds.length === 0) {
+            return res.status(400).json({ error: 'No recipients match the selected targets' });
+        }
+        
+        const result = await models.sequelize.transaction(async (t) => {
+            const campaign = await campaignBuilder.createCampaign({
+                name: name || `${source.name} (copy)`,
+                account_id: account.id,
+                cloned_from_id: source.id,
+                delay_seconds: source.delay_seconds,
+                max_attempts: source.max_attempts,
+                retry_backoff_seconds: source.retry_backoff_seconds,
+                max_consecutive_failures: source.max_consecutive_failures,
+                status: 'draft',
+                send_window_start: source.send_window_start,
+                send_window_end: source.send_window_end,
+                send_window_days: source.send_window_days,
+                send_window_timezone: source.send_window_timezone,
+                frequency_cap_max: source.frequency_cap_max,
+                frequency_cap_hours: source.frequency_cap_hours
+            }, template, contactIds, t);
+            
+            if (sourcePool.length > 0) {
+                await campaignPool.setMembers(campaign.id, sourcePool.map(member => ({
+                    account_id: member.account_id,
+                    weight: member.weight,
+                    max_messages: member.max_messages
+                })), t);
+            }
+            
+            await campaignApproval.holdForApproval(campaign, t);
+            
+            return campaign;
+        });
+        
+        if (result.status === 'pending_approval') {
+            await campaignApproval.logSubmitted(result, req.ip);
+        }
+        
+        res.status(201).json({
+            id: result.id,
+            name: result.name,
+            status: result.status,
+            total_targets: result.total_targets,
+            cloned_from_id: source.id,
+            message: 'Campaign cloned successfully'
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 router.post('/:id/start', async (req, res) => {
     try {
         const { id } = req.params;
         
+        const campaign = await models.Campaign.findByPk(id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        const approvalError = campaignApproval.getStartError(campaign);
+        
+        if (approvalError) {
+            return res.status(400).json({ error: approvalError });
+        }
+        
         const [updated] = await models.Campaign.update(
-            { status: 'running', started_at: new Date() },
-            { where: { id, status: 'draft' } }
+            { status: 'running', started_at: new Date(), scheduled_at: null },
+            { where: { id, status: { [Op.in]: ['draft', 'scheduled'] } } }
         );
         
         if (updated === 0) {
             return res.status(400).json({ error: 'Campaign not found or already started' });
         }
         
-        setTimeout(async () => {
-            try {
-                await whatsappService.sendBulkMessages(id);
-            } catch (error) {
-                console.error('Error in bulk message sending:', error);
-            }
-        }, 1000);
+        campaignRunner.start(id);
         
         res.json({ message: 'Campaign started successfully' });
     } catch (error) {
@@ -200,12 +774,103 @@ router.post('/:id/start', async (req, res) => {
     }
 });
 
+router.post('/:id/schedule', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const scheduledAt = scheduler.parseScheduleTime(req.body.scheduled_at);
+        
+        if (!scheduledAt) {
+            return res.status(400).json({ error: 'scheduled_at must be a valid date in the future' });
+        }
+        
+        const campaign = await models.Campaign.findByPk(id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        const approvalError = campaignApproval.getStartError(campaign);
+        
+        if (approvalError) {
+            return res.status(400).json({ error: approvalError });
+        }
+        
+        const [updated] = await models.Campaign.update(
+            { status: 'scheduled', scheduled_at: scheduledAt },
+            { where: { id, status: { [Op.in]: ['draft', 'scheduled'] } } }
+        );
+        
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Campaign not found or already started' });
+        }
+        
+        res.json({ 
+            message: 'Campaign scheduled successfully',
+            scheduled_at: scheduledAt
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/unschedule', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const [updated] = await models.Campaign.update(
+            { status: 'draft', scheduled_at: null },
+            { where: { id, status: 'scheduled' } }
+        );
+        
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Campaign not found or not scheduled' });
+        }
+        
+        res.json({ message: 'Campaign unscheduled successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Drafts above the approval threshold are sent to the approver
+router.post('/:id/submit', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const campaign = await models.Campaign.findByPk(id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        if (!campaignApproval.requiresApproval(campaign.total_targets)) {
+            return res.status(400).json({ error: 'Campaign does not need approval' });
+        }
+        
+        if (campaign.approval_status === 'approved') {
+            return res.status(400).json({ error: 'Campaign is already approved' });
+        }
+        
+        if (!await campaignApproval.submit(campaign, req.ip)) {
+            return res.status(400).json({ error: 'Only draft campaigns can be submitted for approval' });
+        }
+        
+        res.json({ message: 'Campaign submitted for approval' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/approve', (req, res) => decideApproval(req, res, 'approved'));
+
+router.post('/:id/reject', (req, res) => decideApproval(req, res, 'rejected'));
+
 router.post('/:id/pause', async (req, res) => {
     try {
         const { id } = req.params;
         
         const [updated] = await models.Campaign.update(
-            { status: 'paused' },
+            { status: 'paused', pause_reason: null },
             { where: { id, status: 'running' } }
         );
         
@@ -213,6 +878,8 @@ router.post('/:id/pause', async (req, res) => {
             return res.status(400).json({ error: 'Campaign not found or not running' });
         }
         
+        await campaignEvents.publishProgress(id);
+        
         res.json({ message: 'Campaign paused successfully' });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -223,8 +890,20 @@ router.post('/:id/resume', async (req, res) => {
     try {
         const { id } = req.params;
         
+        const campaign = await models.Campaign.findByPk(id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        const approvalError = campaignApproval.getStartError(campaign);
+        
+        if (approvalError) {
+            return res.status(400).json({ error: approvalError });
+        }
+        
         const [updated] = await models.Campaign.update(
-            { status: 'running' },
+            { status: 'running', pause_reason: null },
             { where: { id, status: 'paused' } }
         );
         
@@ -232,13 +911,7 @@ router.post('/:id/resume', async (req, res) => {
             return res.status(400).json({ error: 'Campaign not found or not paused' });
         }
         
-        setTimeout(async () => {
-            try {
-                await whatsappService.sendBulkMessages(id);
-            } catch (error) {
-                console.error('Error resuming bulk messages:', error);
-            }
-        }, 1000);
+        campaignRunner.start(id);
         
         res.json({ message: 'Campaign resumed successfully' });
     } catch (error) {
@@ -252,19 +925,138 @@ router.post('/:id/cancel', async (req, res) => {
         
         const [updated] = await models.Campaign.update(
             { status: 'cancelled' },
-            { where: { id, status: { [Op.in]: ['running', 'paused', 'draft'] } } }
+            { where: { id, status: { [Op.in]: ['running', 'paused', 'draft', 'pending_approval', 'scheduled'] } } }
         );
         
         if (updated === 0) {
             return res.status(400).json({ error: 'Campaign not found or already completed' });
         }
         
+        await campaignEvents.publishProgress(id);
+        
         res.json({ message: 'Campaign cancelled successfully' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Re-queues failed messages, optionally only those whose error contains `error_contains`
+router.post('/:id/retry-failed', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { error_contains } = req.body;
+        
+        const campaign = await models.Campaign.findByPk(id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        if (!['running', 'paused', 'completed'].includes(campaign.status)) {
+            return res.status(400).json({ error: 'Only running, paused or completed campaigns can be retried' });
+        }
+        
+        const whereClause = { campaign_id: id, status: 'failed' };
+        if (error_contains) {
+            whereClause.error_message = { [Op.like]: `%${error_contains}%` };
+        }
+        
+        const requeued = await models.sequelize.transaction(async (t) => {
+            const [count] = await models.CampaignMessage.update(
+                { status: 'pending', attempt_count: 0, next_attempt_at: null },
+                { where: whereClause, transaction: t }
+            );
+            
+            if (count > 0) {
+                await models.Campaign.decrement(
+                    { failed_count: count },
+                    { where: { id }, transaction: t }
+                );
+                
+                // A finished campaign goes back to running to send the re-queued rows
+                if (campaign.status === 'completed') {
+                    await campaign.update(
+                        { status: 'running', completed_at: null },
+                        { transaction: t }
+                    );
+                }
+            }
+            
+            return count;
+        });
+        
+        if (requeued > 0 && campaign.status === 'running') {
+            campaignRunner.start(id);
+        }
+        
+        res.json({ 
+            message: `${requeued} failed messages re-queued`,
+            requeued,
+            status: campaign.status
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Dry run: validates the pending messages without sending anything, ?format=csv downloads the report
+router.post('/:id/preflight', async (req, res) => {
+    try {
+        const campaign = await models.Campaign.findByPk(req.params.id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        const report = await campaignPreflight.run(campaign);
+        
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.id}-preflight.csv"`);
+            return res.send(campaignPreflight.toCsv(report));
+        }
+        
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Full per-recipient results with a summary block, streamed as a download
+router.get('/:id/report', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+        
+        const campaign = await models.Campaign.findByPk(req.params.id);
+        
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        const filename = `campaign-${campaign.id}-report.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        if (format === 'json') {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            await campaignReport.streamJson(campaign, res);
+        } else {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            await campaignReport.streamCsv(campaign, res);
+        }
+    } catch (error) {
+        // Once streaming has started the status can no longer change
+        if (res.headersSent) {
+            console.error(`❌ Campaign ${req.params.id} report aborted:`, error.message);
+            return res.destroy();
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
 router.get('/:id/messages', async (req, res) => {
     try {
         const { id } = req.params;
@@ -105,6 +105,53 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+// Numbers whose messages keep going undelivered, for cleanup
+router.get('/suspect', async (req, res) => {
+    try {
+        const { Op } = require('sequelize');
+        const { page = 1, limit = 50 } = req.query;
+        
+        const offset = (page - 1) * limit;
+        
+        const { count, rows: contacts } = await models.Contact.findAndCountAll({
+            where: { suspect_at: { [Op.ne]: null } },
+            attributes: ['id', 'name', 'phone', 'group_name', 'is_active', 'undelivered_count', 'suspect_at', 'created_at'],
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+            order: [['undelivered_count', 'DESC'], ['suspect_at', 'DESC']]
+        });
+        
+        // When each number last had a message given up on
+        const lastMisses = await models.CampaignMessage.findAll({
+            where: {
+                contact_id: { [Op.in]: contacts.map(contact => contact.id) },
+                status: 'undelivered'
+            },
+            attributes: ['contact_id', [models.sequelize.fn('MAX', models.sequelize.col('sent_at')), 'last_sent_at']],
+            group: ['contact_id'],
+            raw: true
+        });
+        const lastSentAt = new Map(lastMisses.map(row => [row.contact_id, row.last_sent_at]));
+        
+        res.json({
+            success: true,
+            contacts: contacts.map(contact => ({
+                ...contact.toJSON(),
+                last_undelivered_sent_at: lastSentAt.get(contact.id) || null
+            })),
+            pagination: {
+                total: count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching suspect contacts:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 router.post('/', async (req, res) => {
     try {
         const { name, phone, group_name, is_active = true } = req.body;
@@ -197,6 +244,7 @@ router.put('/:id', async (req, res) => {
         if (name) updateData.name = name.trim();
         
         if (phone) {
+            const { Op } = require('sequelize');
             const cleanPhone = phone.replace(/[^0-9]/g, '');
             
             if (cleanPhone.length < 10) {
@@ -209,7 +257,7 @@ router.put('/:id', async (req, res) => {
             const existingContact = await models.Contact.findOne({
                 where: { 
                     phone: cleanPhone,
-                    id: { [models.sequelize.Op.ne]: id }
+                    id: { [Op.ne]: id }
                 }
             });
             
@@ -221,6 +269,12 @@ router.put('/:id', async (req, res) => {
             }
             
             updateData.phone = cleanPhone;
+            
+            // Misses of the old number say nothing about the new one
+            if (cleanPhone !== contact.phone) {
+                updateData.undelivered_count = 0;
+                updateData.suspect_at = null;
+            }
         }
         
         if (group_name !== undefined) updateData.group_name = group_name ? group_name.trim() : null;
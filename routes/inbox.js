@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const models = require('../models');
+const inbox = require('../services/inbox');
+const { Op } = require('sequelize');
+
+const CONVERSATION_INCLUDES = [
+    {
+        model: models.Account,
+        as: 'account',
+        attributes: ['name', 'phone']
+    },
+    {
+        model: models.Contact,
+        as: 'contact',
+        attributes: ['name', 'group_name']
+    }
+];
+
+// ?account_id=&unread=true&search=
+router.get('/', async (req, res) => {
+    try {
+        const { account_id, unread, search, page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const whereClause = {};
+        if (account_id) {
+            whereClause.account_id = account_id;
+        }
+        if (unread === 'true') {
+            whereClause.unread_count = { [Op.gt]: 0 };
+        }
+        if (search) {
+            whereClause[Op.or] = [
+                { phone: { [Op.like]: `%${search}%` } },
+                { sender_name: { [Op.like]: `%${search}%` } },
+                { '$contact.name$': { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await models.Conversation.findAndCountAll({
+            where: whereClause,
+            include: CONVERSATION_INCLUDES,
+            order: [['last_message_at', 'DESC']],
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+
+        const unreadTotal = await models.Conversation.sum('unread_count', {
+            where: account_id ? { account_id } : {}
+        });
+
+        res.json({
+            conversations: rows.map(conversation => {
+                const data = conversation.toJSON();
+                return {
+                    ...data,
+                    account_name: data.account?.name,
+                    contact_name: data.contact?.name || null
+                };
+            }),
+            unread_total: unreadTotal || 0,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Inbound messages across conversations: ?account_id=&phone=&contact_id=&media_type=&since=
+router.get('/messages', async (req, res) => {
+    try {
+        const { account_id, phone, contact_id, media_type, since, page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const whereClause = {};
+        if (account_id) {
+            whereClause.account_id = account_id;
+        }
+        if (phone) {
+            whereClause.phone = phone.replace(/[^0-9]/g, '');
+        }
+        if (contact_id) {
+            whereClause.contact_id = contact_id;
+        }
+        if (media_type) {
+            whereClause.media_type = media_type;
+        }
+        if (since) {
+            const sinceDate = new Date(since);
+            if (Number.isNaN(sinceDate.getTime())) {
+                return res.status(400).json({ error: 'since must be a valid date' });
+            }
+            whereClause.received_at = { [Op.gte]: sinceDate };
+        }
+
+        const { count, rows } = await models.InboundMessage.findAndCountAll({
+            where: whereClause,
+            include: [
+                {
+                    model: models.Contact,
+                    as: 'contact',
+                    attributes: ['name']
+                }
+            ],
+            order: [['received_at', 'DESC'], ['id', 'DESC']],
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+
+        res.json({
+            messages: rows,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The conversation with its latest messages, oldest first; ?before=<message id> pages back
+router.get('/:id', async (req, res) => {
+    try {
+        const { before, limit = 50 } = req.query;
+
+        const conversation = await models.Conversation.findByPk(req.params.id, {
+            include: CONVERSATION_INCLUDES
+        });
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const whereClause = { conversation_id: conversation.id };
+        if (before) {
+            whereClause.id = { [Op.lt]: parseInt(before) };
+        }
+
+        const messages = await models.InboundMessage.findAll({
+            where: whereClause,
+            order: [['received_at', 'DESC'], ['id', 'DESC']],
+            limit: parseInt(limit)
+        });
+
+        const data = conversation.toJSON();
+
+        res.json({
+            ...data,
+            account_name: data.account?.name,
+            contact_name: data.contact?.name || null,
+            messages: messages.reverse()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Inbound and outbound messages merged, oldest first; ?before=<ISO time> pages back
+router.get('/:id/thread', async (req, res) => {
+    try {
+        const { before, limit = 50 } = req.query;
+
+        const conversation = await models.Conversation.findByPk(req.params.id);
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        let beforeDate = null;
+        if (before) {
+            beforeDate = new Date(before);
+            if (Number.isNaN(beforeDate.getTime())) {
+                return res.status(400).json({ error: 'before must be a valid date' });
+            }
+        }
+
+        res.json(await inbox.getThread(conversation, {
+            before: beforeDate,
+            limit: Math.min(parseInt(limit) || 50, 200)
+        }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/read', async (req, res) => {
+    try {
+        if (!await inbox.markRead(req.params.id)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        res.json({ message: 'Conversation marked as read' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
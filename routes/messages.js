@@ -4,6 +4,8 @@ const models = require('../models');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
+const scheduler = require('../services/scheduler');
+const inbox = require('../services/inbox');
 const { Op, fn, col } = require('sequelize');
 
 const upload = multer({
@@ -28,6 +30,67 @@ const upload = multer({
     }
 });
 
+async function removeUploadedFile(file) {
+    if (file && file.path) {
+        try {
+            await fs.unlink(file.path);
+        } catch (cleanupError) {
+            console.log('File cleanup warning:', cleanupError.message);
+        }
+    }
+}
+
+// The message already went out, so failing to record it must not fail the request
+async function recordDirectMessage(accountId, phone, details) {
+    try {
+        await inbox.recordDirectMessage(accountId, phone, details);
+    } catch (error) {
+        console.error(`Failed to record direct message to ${phone}:`, error);
+    }
+}
+
+// Stores a single send for later dispatch by the scheduler
+async function scheduleSingleMessage(res, { fromAccountId, toNumber, message, scheduledAt, mediaFile }) {
+    const scheduledTime = scheduler.parseScheduleTime(scheduledAt);
+    
+    if (!scheduledTime) {
+        await removeUploadedFile(mediaFile);
+        return res.status(400).json({ error: 'scheduledAt must be a valid date in the future' });
+    }
+    
+    const account = await models.Account.findByPk(fromAccountId);
+    
+    if (!account) {
+        await removeUploadedFile(mediaFile);
+        return res.status(400).json({ error: 'Account not found' });
+    }
+    
+    const mediaPath = mediaFile ? await scheduler.storeScheduledMedia(mediaFile) : null;
+    
+    const scheduledMessage = await models.ScheduledMessage.create({
+        account_id: fromAccountId,
+        phone: toNumber,
+        message_text: message?.trim() || null,
+        media_path: mediaPath,
+        media_mime_type: mediaFile?.mimetype || null,
+        media_original_name: mediaFile?.originalname || null,
+        scheduled_at: scheduledTime
+    });
+    
+    await models.ActivityLog.create({
+        account_id: fromAccountId,
+        action: 'message_scheduled',
+        description: `Message to ${toNumber} scheduled for ${scheduledTime.toISOString()}`
+    });
+    
+    return res.json({
+        success: true,
+        scheduled: true,
+        message: 'Message scheduled successfully',
+        result: scheduledMessage
+    });
+}
+
 router.post('/send', async (req, res) => {
     try {
         const { fromAccountId, toNumber, message, scheduledAt } = req.body;
@@ -36,6 +99,10 @@ router.post('/send', async (req, res) => {
             return res.status(400).json({ error: 'fromAccountId, toNumber, and message are required' });
         }
         
+        if (scheduledAt) {
+            return await scheduleSingleMessage(res, { fromAccountId, toNumber, message, scheduledAt });
+        }
+        
         const account = await models.Account.findOne({
             where: { id: fromAccountId, status: 'connected' }
         });
@@ -51,11 +118,7 @@ router.post('/send', async (req, res) => {
             
             console.log(`✅ Single message successfully sent to ${toNumber}`);
             
-            await models.ActivityLog.create({
-                account_id: fromAccountId,
-                action: 'message_sent',
-                description: `Message sent to ${toNumber}`
-            });
+            await recordDirectMessage(fromAccountId, toNumber, { text: message, waMessageId: result.messageId });
             
             res.json({ 
                 success: true, 
@@ -70,6 +133,11 @@ router.post('/send', async (req, res) => {
         
     } catch (error) {
         console.error('Error sending message:', error);
+        
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return res.status(429).json({ error: error.message, retry_at: error.retryAt });
+        }
+        
         res.status(500).json({ error: 'Failed to send message: ' + error.message });
     }
 });
@@ -121,6 +189,10 @@ router.post('/send-media', (req, res, next) => {
             return res.status(400).json({ error: 'Invalid phone number format' });
         }
         
+        if (scheduledAt) {
+            return await scheduleSingleMessage(res, { fromAccountId, toNumber, message, scheduledAt, mediaFile });
+        }
+        
         const account = await models.Account.findOne({
             where: { id: fromAccountId, status: 'connected' }
         });
@@ -129,10 +201,6 @@ router.post('/send-media', (req, res, next) => {
             return res.status(400).json({ error: 'Account not found or not connected' });
         }
         
-        if (scheduledAt) {
-            return res.status(501).json({ error: 'Scheduled media messages not implemented yet' });
-        }
-        
         const whatsappService = require('../services/whatsapp');
         
         try {
@@ -148,6 +216,12 @@ router.post('/send-media', (req, res, next) => {
             
             console.log(`✅ Media message successfully sent to ${toNumber}`);
             
+            await recordDirectMessage(fromAccountId, toNumber, {
+                text: message?.trim(),
+                mediaFile,
+                waMessageId: result?.messageId || result?.key?.id
+            });
+            
             await models.ActivityLog.create({
                 account_id: fromAccountId,
                 action: 'media_message_sent',
@@ -196,12 +270,116 @@ router.post('/send-media', (req, res, next) => {
             return res.status(400).json({ error: 'File too large. Maximum size is 16MB.' });
         } else if (error.message === 'File type not supported') {
             return res.status(400).json({ error: 'File type not supported. Please use images, videos, audio, or documents.' });
+        } else if (error.code === 'QUOTA_EXCEEDED') {
+            return res.status(429).json({ error: error.message, retry_at: error.retryAt });
         }
         
         res.status(500).json({ error: 'Failed to send media message: ' + error.message });
     }
 });
 
+router.get('/scheduled', async (req, res) => {
+    try {
+        const { status, accountId, limit = 50, offset = 0 } = req.query;
+        
+        const whereClause = {};
+        if (status) {
+            whereClause.status = status;
+        }
+        if (accountId) {
+            whereClause.account_id = accountId;
+        }
+        
+        const messages = await models.ScheduledMessage.findAll({
+            where: whereClause,
+            include: [
+                {
+                    model: models.Account,
+                    as: 'account',
+                    attributes: ['name', 'phone']
+                }
+            ],
+            order: [['scheduled_at', 'ASC']],
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+        
+        const total = await models.ScheduledMessage.count({ where: whereClause });
+        
+        const formattedMessages = messages.map(m => {
+            const msg = m.toJSON();
+            return {
+                ...msg,
+                account_name: msg.account?.name,
+                account_phone: msg.account?.phone
+            };
+        });
+        
+        res.json({
+            messages: formattedMessages,
+            total,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/scheduled/:id/cancel', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const scheduledMessage = await models.ScheduledMessage.findByPk(id);
+        
+        if (!scheduledMessage) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        
+        const [updated] = await models.ScheduledMessage.update(
+            { status: 'cancelled' },
+            { where: { id, status: 'pending' } }
+        );
+        
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Scheduled message already sent or cancelled' });
+        }
+        
+        await scheduler.removeScheduledMedia(scheduledMessage.media_path);
+        
+        res.json({ message: 'Scheduled message cancelled successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/scheduled/:id/reschedule', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const scheduledTime = scheduler.parseScheduleTime(req.body.scheduledAt);
+        
+        if (!scheduledTime) {
+            return res.status(400).json({ error: 'scheduledAt must be a valid date in the future' });
+        }
+        
+        const [updated] = await models.ScheduledMessage.update(
+            { scheduled_at: scheduledTime },
+            { where: { id, status: 'pending' } }
+        );
+        
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Scheduled message not found, already sent or cancelled' });
+        }
+        
+        res.json({ 
+            message: 'Scheduled message rescheduled successfully',
+            scheduled_at: scheduledTime
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 router.get('/templates', async (req, res) => {
     try {
         const templates = await models.MessageTemplate.findAll({
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const models = require('../models');
+const recurringCampaigns = require('../services/recurringCampaigns');
+
+const parseOptionalInt = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value));
+
+function formatDefinition(definition) {
+    const data = definition.toJSON();
+
+    return {
+        ...data,
+        account_name: data.account?.name,
+        template_name: data.template?.name
+    };
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const whereClause = status ? { status } : {};
+
+        const definitions = await models.RecurringCampaign.findAll({
+            where: whereClause,
+            include: [
+                {
+                    model: models.Account,
+                    as: 'account',
+                    attributes: ['name', 'phone', 'status']
+                },
+                {
+                    model: models.MessageTemplate,
+                    as: 'template',
+                    attributes: ['name']
+                }
+            ],
+            order: [['created_at', 'DESC']]
+        });
+
+        res.json(definitions.map(formatDefinition));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const definition = await models.RecurringCampaign.findByPk(req.params.id, {
+            include: [
+                {
+                    model: models.Account,
+                    as: 'account',
+                    attributes: ['name', 'phone', 'status']
+                },
+                {
+                    model: models.MessageTemplate,
+                    as: 'template',
+                    attributes: ['name']
+                }
+            ]
+        });
+
+        if (!definition) {
+            return res.status(404).json({ error: 'Recurring campaign not found' });
+        }
+
+        // Each occurrence is a normal campaign with its own stats
+        const campaigns = await models.Campaign.findAll({
+            where: { recurring_campaign_id: definition.id },
+            attributes: ['id', 'name', 'status', 'total_targets', 'sent_count', 'failed_count', 'started_at', 'completed_at'],
+            order: [['created_at', 'DESC']],
+            limit: 20
+        });
+
+        res.json({
+            ...formatDefinition(definition),
+            campaigns
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const { name, account_id, template_id, group_name, frequency, run_time, day_of_week, day_of_month, cron_expression, delay_seconds } = req.body;
+
+        if (!name || !account_id || !template_id || !group_name || !frequency) {
+            return res.status(400).json({
+                error: 'Name, account_id, template_id, group_name and frequency are required'
+            });
+        }
+
+        const rule = {
+            frequency,
+            run_time: run_time || '09:00',
+            day_of_week: parseOptionalInt(day_of_week),
+            day_of_month: parseOptionalInt(day_of_month),
+            cron_expression: frequency === 'cron' ? cron_expression : null
+        };
+
+        let nextRunAt;
+        try {
+            nextRunAt = recurringCampaigns.getNextRunTime(rule);
+        } catch (ruleError) {
+            return res.status(400).json({ error: ruleError.message });
+        }
+
+        if (!nextRunAt) {
+            return res.status(400).json({ error: 'Recurrence rule never matches a date' });
+        }
+
+        const account = await models.Account.findByPk(account_id);
+
+        if (!account) {
+            return res.status(400).json({ error: 'Account not found' });
+        }
+
+        const template = await models.MessageTemplate.findByPk(template_id);
+
+        if (!template) {
+            return res.status(400).json({ error: 'Template not found' });
+        }
+
+        const definition = await models.RecurringCampaign.create({
+            ...rule,
+            name,
+            account_id,
+            template_id,
+            group_name,
+            delay_seconds: delay_seconds || 5,
+            next_run_at: nextRunAt
+        });
+
+        await models.ActivityLog.create({
+            account_id,
+            action: 'recurring_campaign_created',
+            description: `Recurring campaign "${name}" created for group "${group_name}"`
+        });
+
+        res.status(201).json({
+            id: definition.id,
+            name,
+            status: definition.status,
+            next_run_at: definition.next_run_at,
+            message: 'Recurring campaign created successfully'
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/pause', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [updated] = await models.RecurringCampaign.update(
+            { status: 'paused' },
+            { where: { id, status: 'active' } }
+        );
+
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Recurring campaign not found or not active' });
+        }
+
+        res.json({ message: 'Recurring campaign paused successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/resume', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const definition = await models.RecurringCampaign.findOne({
+            where: { id, status: 'paused' }
+        });
+
+        if (!definition) {
+            return res.status(400).json({ error: 'Recurring campaign not found or not paused' });
+        }
+
+        // Occurrences that fell due while paused are skipped, not caught up
+        await definition.update({
+            status: 'active',
+            next_run_at: recurringCampaigns.getNextRunTime(definition)
+        });
+
+        res.json({
+            message: 'Recurring campaign resumed successfully',
+            next_run_at: definition.next_run_at
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Campaigns already spawned are kept
+        await models.Campaign.update(
+            { recurring_campaign_id: null },
+            { where: { recurring_campaign_id: id } }
+        );
+
+        const deleted = await models.RecurringCampaign.destroy({ where: { id } });
+
+        if (deleted === 0) {
+            return res.status(404).json({ error: 'Recurring campaign not found' });
+        }
+
+        res.json({ message: 'Recurring campaign deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const router = express.Router();
+const models = require('../models');
+const dripSequences = require('../services/dripSequences');
+const { Op } = require('sequelize');
+
+// [1, "2", 3] -> [1, 2, 3]; null when missing or not a list of ids
+function parseContactIds(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return null;
+    }
+
+    const ids = value.map(id => parseInt(id));
+    return ids.every(id => Number.isInteger(id)) ? [...new Set(ids)] : null;
+}
+
+// Checks the step templates exist; returns an error message or null
+async function validateStepTemplates(steps) {
+    for (const step of steps) {
+        if (!await models.MessageTemplate.findByPk(step.template_id)) {
+            return `Template ${step.template_id} not found`;
+        }
+    }
+
+    return null;
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const sequences = await models.Sequence.findAll({
+            where: status ? { status } : {},
+            include: [
+                {
+                    model: models.Account,
+                    as: 'account',
+                    attributes: ['name', 'phone', 'status']
+                }
+            ],
+            order: [['created_at', 'DESC']]
+        });
+
+        const result = [];
+        for (const sequence of sequences) {
+            const data = sequence.toJSON();
+            result.push({
+                ...data,
+                account_name: data.account?.name,
+                step_count: await models.SequenceStep.count({ where: { sequence_id: sequence.id } }),
+                enrollments: await dripSequences.getEnrollmentCounts(sequence.id)
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const sequence = await models.Sequence.findByPk(req.params.id, {
+            include: [
+                {
+                    model: models.Account,
+                    as: 'account',
+                    attributes: ['name', 'phone', 'status']
+                }
+            ]
+        });
+
+        if (!sequence) {
+            return res.status(404).json({ error: 'Sequence not found' });
+        }
+
+        const data = sequence.toJSON();
+
+        res.json({
+            ...data,
+            account_name: data.account?.name,
+            enrollments: await dripSequences.getEnrollmentCounts(sequence.id),
+            steps: await dripSequences.getStepStats(sequence.id)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const { name, account_id, group_name, exit_on_reply, delay_seconds, steps } = req.body;
+
+        if (!name || !account_id || !steps) {
+            return res.status(400).json({ error: 'Name, account_id and steps are required' });
+        }
+
+        let normalizedSteps;
+        try {
+            normalizedSteps = dripSequences.normalizeSteps(steps);
+        } catch (stepError) {
+            return res.status(400).json({ error: stepError.message });
+        }
+
+        const templateError = await validateStepTemplates(normalizedSteps);
+
+        if (templateError) {
+            return res.status(400).json({ error: templateError });
+        }
+
+        const account = await models.Account.findByPk(account_id);
+
+        if (!account) {
+            return res.status(400).json({ error: 'Account not found' });
+        }
+
+        const sequence = await models.sequelize.transaction(async (t) => {
+            const created = await models.Sequence.create({
+                name,
+                account_id,
+                group_name: group_name || null,
+                exit_on_reply: exit_on_reply ?? true,
+                delay_seconds: delay_seconds || 5
+            }, { transaction: t });
+
+            await models.SequenceStep.bulkCreate(
+                normalizedSteps.map(step => ({ ...step, sequence_id: created.id })),
+                { transaction: t }
+            );
+
+            return created;
+        });
+
+        await models.ActivityLog.create({
+            account_id,
+            action: 'sequence_created',
+            description: `Sequence "${name}" created with ${normalizedSteps.length} steps${group_name ? ` for group "${group_name}"` : ''}`
+        });
+
+        res.status(201).json({
+            id: sequence.id,
+            name,
+            status: sequence.status,
+            message: 'Sequence created successfully'
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Steps can only be replaced while nobody has been enrolled
+router.put('/:id', async (req, res) => {
+    try {
+        const { name, account_id, group_name, exit_on_reply, delay_seconds, steps } = req.body;
+
+        const sequence = await models.Sequence.findByPk(req.params.id);
+
+        if (!sequence) {
+            return res.status(404).json({ error: 'Sequence not found' });
+        }
+
+        const updateData = {};
+
+        if (name !== undefined) {
+            if (!String(name).trim()) {
+                return res.status(400).json({ error: 'Name cannot be empty' });
+            }
+            updateData.name = String(name).trim();
+        }
+
+        if (account_id !== undefined) {
+            if (!await models.Account.findByPk(account_id)) {
+                return res.status(400).json({ error: 'Account not found' });
+            }
+            updateData.account_id = account_id;
+        }
+
+        if (group_name !== undefined) {
+            updateData.group_name = group_name || null;
+        }
+
+        if (exit_on_reply !== undefined) {
+            updateData.exit_on_reply = !!exit_on_reply;
+        }
+
+        if (delay_seconds !== undefined) {
+            const parsed = parseInt(delay_seconds);
+            if (Number.isNaN(parsed) || parsed < 0) {
+                return res.status(400).json({ error: 'delay_seconds must be a non-negative number' });
+            }
+            updateData.delay_seconds = parsed;
+        }
+
+        let normalizedSteps = null;
+        if (steps !== undefined) {
+            if (await models.SequenceEnrollment.count({ where: { sequence_id: sequence.id } }) > 0) {
+                return res.status(400).json({ error: 'Steps cannot be changed once contacts are enrolled' });
+            }
+
+            try {
+                normalizedSteps = dripSequences.normalizeSteps(steps);
+            } catch (stepError) {
+                return res.status(400).json({ error: stepError.message });
+            }
+
+            const templateError = await validateStepTemplates(normalizedSteps);
+
+            if (templateError) {
+                return res.status(400).json({ error: templateError });
+            }
+        }
+
+        await models.sequelize.transaction(async (t) => {
+            await sequence.update(updateData, { transaction: t });
+
+            if (normalizedSteps) {
+                await models.SequenceStep.destroy({ where: { sequence_id: sequence.id }, transaction: t });
+                await models.SequenceStep.bulkCreate(
+                    normalizedSteps.map(step => ({ ...step, sequence_id: sequence.id })),
+                    { transaction: t }
+                );
+            }
+        });
+
+        res.json({ message: 'Sequence updated successfully', sequence });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/pause', async (req, res) => {
+    try {
+        const [updated] = await models.Sequence.update(
+            { status: 'paused' },
+            { where: { id: req.params.id, status: 'active' } }
+        );
+
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Sequence not found or not active' });
+        }
+
+        res.json({ message: 'Sequence paused successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Steps that fell due while paused are sent on the next scheduler tick
+router.post('/:id/resume', async (req, res) => {
+    try {
+        const [updated] = await models.Sequence.update(
+            { status: 'active' },
+            { where: { id: req.params.id, status: 'paused' } }
+        );
+
+        if (updated === 0) {
+            return res.status(400).json({ error: 'Sequence not found or not paused' });
+        }
+
+        res.json({ message: 'Sequence resumed successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Enrolls contact_ids or every active contact of group_name
+router.post('/:id/enroll', async (req, res) => {
+    try {
+        const { contact_ids, group_name } = req.body;
+        const contactIds = parseContactIds(contact_ids);
+
+        if (!contactIds && !group_name) {
+            return res.status(400).json({ error: 'contact_ids array or group_name is required' });
+        }
+
+        const sequence = await models.Sequence.findByPk(req.params.id);
+
+        if (!sequence) {
+            return res.status(404).json({ error: 'Sequence not found' });
+        }
+
+        const result = contactIds
+            ? await dripSequences.enroll(sequence, contactIds)
+            : await dripSequences.enrollGroup(sequence, group_name);
+
+        res.json({ message: `${result.enrolled} contacts enrolled`, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:id/unenroll', async (req, res) => {
+    try {
+        const contactIds = parseContactIds(req.body.contact_ids);
+
+        if (!contactIds) {
+            return res.status(400).json({ error: 'contact_ids array is required' });
+        }
+
+        const removed = await dripSequences.exit(
+            { sequence_id: req.params.id, contact_id: { [Op.in]: contactIds } },
+            'removed'
+        );
+
+        res.json({ message: `${removed} contacts removed`, removed });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:id/enrollments', async (req, res) => {
+    try {
+        const { status, page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const whereClause = { sequence_id: req.params.id };
+        if (status) {
+            whereClause.status = status;
+        }
+
+        const { count, rows } = await models.SequenceEnrollment.findAndCountAll({
+            where: whereClause,
+            include: [
+                {
+                    model: models.Contact,
+                    as: 'contact',
+                    attributes: ['name', 'phone']
+                }
+            ],
+            order: [['id', 'ASC']],
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+
+        res.json({
+            enrollments: rows,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const steps = await models.SequenceStep.findAll({ where: { sequence_id: id }, attributes: ['id'] });
+
+        // Step campaigns already sent are kept
+        await models.Campaign.update(
+            { sequence_step_id: null },
+            { where: { sequence_step_id: { [Op.in]: steps.map(step => step.id) } } }
+        );
+
+        const deleted = await models.sequelize.transaction(async (t) => {
+            await models.SequenceEnrollment.destroy({ where: { sequence_id: id }, transaction: t });
+            await models.SequenceStep.destroy({ where: { sequence_id: id }, transaction: t });
+            return models.Sequence.destroy({ where: { id }, transaction: t });
+        });
+
+        if (deleted === 0) {
+            return res.status(404).json({ error: 'Sequence not found' });
+        }
+
+        res.json({ message: 'Sequence deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
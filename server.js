@@ -5,12 +5,20 @@ const path = require('path');
 const fs = require('fs-extra');
 const models = require('./models');
 const whatsappService = require('./services/whatsapp');
+const campaignRunner = require('./services/campaignRunner');
+const broadcastRunner = require('./services/broadcastRunner');
+const scheduler = require('./services/scheduler');
 
 const accountRoutes = require('./routes/accounts');
 const messageRoutes = require('./routes/messages');
 const campaignRoutes = require('./routes/campaigns');
 const uploadRoutes = require('./routes/uploads');
 const contactRoutes = require('./routes/contacts');
+const broadcastRoutes = require('./routes/broadcasts');
+const recurringCampaignRoutes = require('./routes/recurringCampaigns');
+const sequenceRoutes = require('./routes/sequences');
+const analyticsRoutes = require('./routes/analytics');
+const inboxRoutes = require('./routes/inbox');
 
 const app = express();
 
@@ -40,6 +48,11 @@ app.use('/api/messages', messageRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/uploads', uploadRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/broadcasts', broadcastRoutes);
+app.use('/api/recurring-campaigns', recurringCampaignRoutes);
+app.use('/api/sequences', sequenceRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/inbox', inboxRoutes);
 
 // Default route
 app.get('/', (req, res) => {
@@ -52,12 +65,13 @@ app.get('/api/status', async (req, res) => {
         const totalAccounts = await models.Account.count();
         const connectedAccounts = await models.Account.count({ where: { status: 'connected' } });
         const activeCampaigns = await models.Campaign.count({ where: { status: 'running' } });
+        const scheduledCampaigns = await models.Campaign.count({ where: { status: 'scheduled' } });
 
         res.json({
             status: 'ok',
             uptime: process.uptime(),
             accounts: { total: totalAccounts, connected: connectedAccounts },
-            campaigns: { active: activeCampaigns }
+            campaigns: { active: activeCampaigns, scheduled: scheduledCampaigns }
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -78,6 +92,7 @@ app.use((req, res) => {
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down server...');
     try {
+        scheduler.stop();
         await whatsappService.disconnectAll();
         await models.sequelize.close();
         console.log('✅ Database connection closed');
@@ -94,14 +109,23 @@ async function initializeApp() {
         await models.sequelize.authenticate();
         console.log('✅ Database connected');
 
-        await models.sequelize.sync();
+        await models.syncSchema();
         console.log('✅ Database tables synchronized');
 
-        const uploadDirs = ['uploads/images', 'uploads/documents', 'uploads/audio', 'uploads/video'];
+        const uploadDirs = ['uploads/images', 'uploads/documents', 'uploads/audio', 'uploads/video', 'uploads/scheduled', 'uploads/broadcasts'];
         for (const dir of uploadDirs) await fs.ensureDir(dir);
 
         await whatsappService.initialize();
         console.log('✅ WhatsApp service initialized');
+
+        await campaignRunner.initialize();
+        console.log('✅ Campaign runner initialized');
+
+        await broadcastRunner.initialize();
+        console.log('✅ Broadcast runner initialized');
+
+        await scheduler.initialize();
+        console.log('✅ Scheduler initialized');
     } catch (error) {
         console.error('❌ Initialization failed:', error);
     }
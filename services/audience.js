@@ -0,0 +1,114 @@
+const models = require('../models');
+const { Op } = require('sequelize');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// "A, B" or ["A", "B"] -> ["A", "B"]
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// Date-only values are read as server local midnight
+function parseDate(value) {
+    const date = DATE_ONLY.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+class Audience {
+    // Validates an audience definition and returns it in canonical form:
+    // { groups, all_active, search, created_from, created_to, exclude_groups }
+    normalize(definition) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new Error('audience must be an object');
+        }
+
+        const normalized = {
+            groups: toList(definition.groups),
+            all_active: definition.all_active === true || definition.all_active === 'true',
+            search: definition.search ? String(definition.search).trim() : null,
+            created_from: definition.created_from || null,
+            created_to: definition.created_to || null,
+            exclude_groups: toList(definition.exclude_groups)
+        };
+
+        for (const field of ['created_from', 'created_to']) {
+            if (normalized[field] && !parseDate(normalized[field])) {
+                throw new Error(`${field} must be a valid date`);
+            }
+        }
+
+        // Targeting everyone has to be asked for explicitly
+        const hasCriteria = normalized.groups.length > 0 || normalized.search ||
+            normalized.created_from || normalized.created_to;
+
+        if (!normalized.all_active && !hasCriteria) {
+            throw new Error('audience needs groups, a search, a created date range or all_active: true');
+        }
+
+        return normalized;
+    }
+
+    // Active contacts matching every given criterion, minus the excluded groups
+    buildWhere(audience) {
+        const conditions = [{ is_active: true }];
+
+        if (audience.groups.length > 0) {
+            conditions.push({ group_name: { [Op.in]: audience.groups } });
+        }
+
+        if (audience.search) {
+            conditions.push({
+                [Op.or]: [
+                    { name: { [Op.like]: `%${audience.search}%` } },
+                    { phone: { [Op.like]: `%${audience.search}%` } }
+                ]
+            });
+        }
+
+        if (audience.created_from) {
+            conditions.push({ created_at: { [Op.gte]: parseDate(audience.created_from) } });
+        }
+
+        if (audience.created_to) {
+            const end = parseDate(audience.created_to);
+
+            // A date-only end includes that whole day
+            if (DATE_ONLY.test(audience.created_to)) {
+                end.setDate(end.getDate() + 1);
+                conditions.push({ created_at: { [Op.lt]: end } });
+            } else {
+                conditions.push({ created_at: { [Op.lte]: end } });
+            }
+        }
+
+        if (audience.exclude_groups.length > 0) {
+            // NOT IN alone would also drop contacts without a group
+            conditions.push({
+                [Op.or]: [
+                    { group_name: null },
+                    { group_name: { [Op.notIn]: audience.exclude_groups } }
+                ]
+            });
+        }
+
+        return { [Op.and]: conditions };
+    }
+
+    async resolve(audience) {
+        const contacts = await models.Contact.findAll({
+            where: this.buildWhere(audience),
+            attributes: ['id'],
+            order: [['id', 'ASC']]
+        });
+
+        return contacts.map(contact => contact.id);
+    }
+}
+
+module.exports = new Audience();
@@ -0,0 +1,266 @@
+const fs = require('fs-extra');
+const models = require('../models');
+const whatsappService = require('./whatsapp');
+const { Op } = require('sequelize');
+
+const BROADCAST_MEDIA_DIR = 'uploads/broadcasts';
+const MAX_MERGE_VARIABLES = 10; // {text1} to {text10}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class BroadcastRunner {
+    constructor() {
+        this.activeRuns = new Map();
+        this.rerunRequested = new Set();
+        this.initialized = false;
+    }
+
+    async initialize() {
+        try {
+            await this.recoverInterruptedRecipients();
+            this.initialized = true;
+
+            const jobs = await models.BroadcastJob.findAll({
+                where: { status: 'running' },
+                attributes: ['id', 'account_id']
+            });
+
+            console.log(`🔄 Found ${jobs.length} running broadcasts to resume`);
+
+            for (const job of jobs) {
+                if (await whatsappService.isAccountReady(job.account_id)) {
+                    this.start(job.id);
+                } else {
+                    console.log(`⏳ Broadcast ${job.id} waiting for account ${job.account_id} to connect`);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to initialize broadcast runner:', error);
+        }
+    }
+
+    // A recipient left in 'sending' may already have received the message
+    async recoverInterruptedRecipients() {
+        const interrupted = await models.BroadcastRecipient.findAll({
+            where: { status: 'sending' },
+            attributes: ['id', 'job_id'],
+            raw: true
+        });
+
+        if (interrupted.length === 0) {
+            return;
+        }
+
+        await models.BroadcastRecipient.update(
+            { status: 'failed', error_message: 'Interrupted by server restart before delivery was confirmed' },
+            { where: { id: { [Op.in]: interrupted.map(r => r.id) } } }
+        );
+
+        for (const recipient of interrupted) {
+            await models.BroadcastJob.increment(
+                { failed_count: 1 },
+                { where: { id: recipient.job_id } }
+            );
+        }
+
+        console.log(`⚠️ Marked ${interrupted.length} interrupted broadcast recipients as failed`);
+    }
+
+    // Replaces {text1} to {text10} with the recipient's merge data
+    renderMessage(template, data = []) {
+        let message = template || '';
+
+        for (let i = 1; i <= MAX_MERGE_VARIABLES; i++) {
+            const value = data[i - 1] !== undefined && data[i - 1] !== null ? String(data[i - 1]) : '';
+            message = message.replace(new RegExp(`\\{text${i}\\}`, 'g'), value);
+        }
+
+        return message.trim();
+    }
+
+    // Keeps the uploaded file for the lifetime of the job
+    async storeMedia(file) {
+        await fs.ensureDir(BROADCAST_MEDIA_DIR);
+
+        const storedPath = `${BROADCAST_MEDIA_DIR}/${file.filename}`;
+        await fs.move(file.path, storedPath, { overwrite: true });
+
+        return storedPath;
+    }
+
+    async removeMedia(job) {
+        if (!job.media_path) {
+            return;
+        }
+
+        try {
+            await fs.remove(job.media_path);
+        } catch (cleanupError) {
+            console.log('File cleanup warning:', cleanupError.message);
+        }
+    }
+
+    start(jobId) {
+        const id = parseInt(jobId);
+
+        if (this.activeRuns.has(id)) {
+            this.rerunRequested.add(id);
+            return false;
+        }
+
+        const run = this.run(id)
+            .catch(error => console.error(`❌ Broadcast ${id} runner error:`, error))
+            .finally(() => {
+                this.activeRuns.delete(id);
+
+                if (this.rerunRequested.delete(id)) {
+                    this.start(id);
+                }
+            });
+
+        this.activeRuns.set(id, run);
+        return true;
+    }
+
+    isRunning(jobId) {
+        return this.activeRuns.has(parseInt(jobId));
+    }
+
+    async onAccountConnected(accountId) {
+        if (!this.initialized) {
+            return;
+        }
+
+        const jobs = await models.BroadcastJob.findAll({
+            where: { account_id: accountId, status: 'running' },
+            attributes: ['id']
+        });
+
+        for (const job of jobs) {
+            if (this.start(job.id)) {
+                console.log(`▶️ Resuming broadcast ${job.id} after account ${accountId} connected`);
+            }
+        }
+    }
+
+    // onAccountConnected restarts the job once the account is back
+    async waitForAccount(job) {
+        await job.update({ waiting_reason: 'account_disconnected', waiting_until: null });
+        console.log(`⏳ Broadcast ${job.id} waiting for account ${job.account_id} to connect`);
+    }
+
+    async run(jobId) {
+        const job = await models.BroadcastJob.findOne({
+            where: { id: jobId, status: 'running' }
+        });
+
+        if (!job) {
+            return;
+        }
+
+        if (!await whatsappService.isAccountReady(job.account_id)) {
+            await this.waitForAccount(job);
+            return;
+        }
+
+        if (job.waiting_reason) {
+            await job.update({ waiting_reason: null, waiting_until: null });
+        }
+
+        while (true) {
+            const currentJob = await models.BroadcastJob.findByPk(jobId, {
+                attributes: ['status']
+            });
+
+            if (!currentJob || currentJob.status !== 'running') {
+                console.log(`Broadcast ${jobId} stopped or paused`);
+
+                if (currentJob && currentJob.status === 'stopped') {
+                    await this.removeMedia(job);
+                }
+                return;
+            }
+
+            const recipient = await models.BroadcastRecipient.findOne({
+                where: { job_id: jobId, status: 'pending' },
+                order: [['id', 'ASC']]
+            });
+
+            if (!recipient) {
+                break;
+            }
+
+            // Left pending while the account is away instead of failing every remaining recipient
+            if (!await whatsappService.isAccountReady(job.account_id)) {
+                await this.waitForAccount(job);
+                return;
+            }
+
+            const [claimed] = await models.BroadcastRecipient.update(
+                { status: 'sending' },
+                { where: { id: recipient.id, status: 'pending' } }
+            );
+
+            if (claimed === 0) {
+                continue;
+            }
+
+            try {
+                await whatsappService.sendMessage(
+                    job.account_id,
+                    recipient.phone,
+                    recipient.message_text || '',
+                    job.media_path,
+                    job.media_mime_type,
+                    job.media_original_name
+                );
+
+                await recipient.update({ status: 'sent', sent_at: new Date() });
+                await models.BroadcastJob.increment({ sent_count: 1 }, { where: { id: jobId } });
+
+            } catch (error) {
+                if (error.code === 'QUOTA_EXCEEDED') {
+                    // Deferred, not failed: the scheduler restarts the job once the quota resets
+                    await models.BroadcastRecipient.update(
+                        { status: 'pending' },
+                        { where: { id: recipient.id } }
+                    );
+                    await job.update({ waiting_reason: 'waiting_for_quota', waiting_until: error.retryAt });
+
+                    console.log(`⏳ Broadcast ${jobId} deferred until ${error.retryAt.toISOString()}: ${error.message}`);
+                    return;
+                }
+
+                console.error(`Failed to send broadcast ${jobId} to ${recipient.phone}:`, error.message);
+
+                await recipient.update({ status: 'failed', error_message: error.message });
+                await models.BroadcastJob.increment({ failed_count: 1 }, { where: { id: jobId } });
+            }
+
+            const remaining = await models.BroadcastRecipient.count({
+                where: { job_id: jobId, status: 'pending' }
+            });
+
+            if (remaining === 0) {
+                break;
+            }
+
+            // Random delay between sends to avoid spam detection
+            const delayMin = job.delay_min;
+            const delayMax = Math.max(job.delay_min, job.delay_max);
+            await sleep(Math.floor(Math.random() * (delayMax - delayMin + 1) + delayMin) * 1000);
+        }
+
+        const [completed] = await models.BroadcastJob.update(
+            { status: 'completed', completed_at: new Date() },
+            { where: { id: jobId, status: 'running' } }
+        );
+
+        if (completed > 0) {
+            console.log(`✅ Broadcast ${jobId} completed`);
+            await this.removeMedia(job);
+        }
+    }
+}
+
+module.exports = new BroadcastRunner();
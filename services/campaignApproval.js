@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const models = require('../models');
+
+class CampaignApproval {
+    // Campaigns with more recipients than CAMPAIGN_APPROVAL_THRESHOLD need approval;
+    // without it approval is off
+    getThreshold() {
+        const threshold = parseInt(process.env.CAMPAIGN_APPROVAL_THRESHOLD);
+        return Number.isInteger(threshold) && threshold >= 0 ? threshold : null;
+    }
+
+    requiresApproval(totalTargets) {
+        const threshold = this.getThreshold();
+        return threshold !== null && totalTargets > threshold;
+    }
+
+    // With CAMPAIGN_APPROVER_KEY set, only requests carrying that key may decide;
+    // without it anyone with dashboard access is an approver
+    isApprover(key) {
+        const expected = process.env.CAMPAIGN_APPROVER_KEY;
+
+        if (!expected) {
+            return true;
+        }
+
+        if (!key) {
+            return false;
+        }
+
+        const given = Buffer.from(String(key));
+        const wanted = Buffer.from(expected);
+        return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+    }
+
+    // Returns an error message when the campaign may not be started or scheduled yet
+    getStartError(campaign) {
+        if (!this.requiresApproval(campaign.total_targets) || campaign.approval_status === 'approved') {
+            return null;
+        }
+
+        if (campaign.approval_status === 'pending') {
+            return 'Campaign is waiting for approval';
+        }
+
+        return `Campaigns with more than ${this.getThreshold()} recipients need approval first (POST /api/campaigns/${campaign.id}/submit)`;
+    }
+
+    // A new campaign above the threshold goes to the approver instead of
+    // being a draft or scheduled; returns true when it was held
+    async holdForApproval(campaign, transaction) {
+        if (!this.requiresApproval(campaign.total_targets)) {
+            return false;
+        }
+
+        await campaign.update({ status: 'pending_approval', approval_status: 'pending' }, { transaction });
+        return true;
+    }
+
+    async logSubmitted(campaign, ipAddress = null) {
+        await models.ActivityLog.create({
+            account_id: campaign.account_id,
+            action: 'campaign_approval_requested',
+            description: `Campaign "${campaign.name}" for ${campaign.total_targets} recipients is waiting for approval`,
+            ip_address: ipAddress
+        });
+    }
+
+    // Moves a draft to pending_approval; returns false when it was not a draft anymore
+    async submit(campaign, ipAddress = null) {
+        const [updated] = await models.Campaign.update(
+            {
+                status: 'pending_approval',
+                approval_status: 'pending',
+                approval_decided_by: null,
+                approval_comment: null,
+                approval_decided_at: null
+            },
+            { where: { id: campaign.id, status: 'draft' } }
+        );
+
+        if (updated === 0) {
+            return false;
+        }
+
+        await this.logSubmitted(campaign, ipAddress);
+        return true;
+    }
+
+    // Approved campaigns go back to draft, or to scheduled when they have a
+    // schedule (a past one starts on the next scheduler tick)
+    async decide(campaign, decision, { approver, comment, ipAddress = null }) {
+        const approved = decision === 'approved';
+
+        const [updated] = await models.Campaign.update(
+            {
+                status: approved && campaign.scheduled_at ? 'scheduled' : 'draft',
+                approval_status: decision,
+                approval_decided_by: approver,
+                approval_comment: comment || null,
+                approval_decided_at: new Date()
+            },
+            { where: { id: campaign.id, status: 'pending_approval' } }
+        );
+
+        if (updated === 0) {
+            return false;
+        }
+
+        await models.ActivityLog.create({
+            account_id: campaign.account_id,
+            action: approved ? 'campaign_approved' : 'campaign_rejected',
+            description: `Campaign "${campaign.name}" ${decision} by ${approver}${comment ? `: ${comment}` : ''}`,
+            ip_address: ipAddress
+        });
+
+        return true;
+    }
+
+    // An edit to an approved draft or paused campaign has to be approved again
+    async resetIfApproved(campaign, transaction) {
+        if (!['draft', 'paused'].includes(campaign.status) || campaign.approval_status !== 'approved') {
+            return;
+        }
+
+        await campaign.update({ approval_status: null }, { transaction });
+    }
+
+    // A paused campaign that needs approval after an edit goes to the approver
+    // instead of waiting to be resumed; returns true when it was held
+    async holdIfPaused(campaign, transaction) {
+        if (campaign.status !== 'paused' || !this.getStartError(campaign)) {
+            return false;
+        }
+
+        const [updated] = await models.Campaign.update(
+            {
+                status: 'pending_approval',
+                approval_status: 'pending',
+                pause_reason: null,
+                approval_decided_by: null,
+                approval_comment: null,
+                approval_decided_at: null
+            },
+            { where: { id: campaign.id, status: 'paused' }, transaction }
+        );
+
+        return updated > 0;
+    }
+}
+
+module.exports = new CampaignApproval();
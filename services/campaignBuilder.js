@@ -0,0 +1,198 @@
+const models = require('../models');
+const campaignVariants = require('./campaignVariants');
+const { Op } = require('sequelize');
+
+class CampaignBuilder {
+    // Fills the {name} and {phone} placeholders of a template for one contact
+    renderMessage(template, contact) {
+        let personalizedMessage = template.message_text;
+        personalizedMessage = personalizedMessage.replace(/{name}/g, contact.name);
+        personalizedMessage = personalizedMessage.replace(/{phone}/g, contact.phone);
+
+        return personalizedMessage;
+    }
+
+    // Creates a campaign and one CampaignMessage per active contact.
+    // `fields` are the Campaign columns besides the counters. With `variants`
+    // ([{ template, template_id, split_percent, label }]) recipients are split
+    // between the templates instead.
+    async createCampaign(fields, template, contactIds, transaction, variants = null) {
+        const campaign = await models.Campaign.create({
+            ...fields,
+            template_id: template.id,
+            total_targets: contactIds.length
+        }, { transaction });
+
+        let campaignVariantRows = null;
+        if (variants) {
+            campaignVariantRows = [];
+            for (const variant of variants) {
+                const row = await models.CampaignVariant.create({
+                    campaign_id: campaign.id,
+                    template_id: variant.template_id,
+                    label: variant.label,
+                    split_percent: variant.split_percent
+                }, { transaction });
+
+                row.template = variant.template;
+                campaignVariantRows.push(row);
+            }
+        }
+
+        for (const contactId of contactIds) {
+            const contact = await models.Contact.findOne({
+                where: { id: contactId, is_active: true },
+                transaction
+            });
+
+            if (contact) {
+                await models.CampaignMessage.create(
+                    campaignVariantRows
+                        ? this.buildVariantMessage(campaign, campaignVariantRows, contact)
+                        : this.buildMessage(campaign.id, template, contact),
+                    { transaction }
+                );
+            }
+        }
+
+        return campaign;
+    }
+
+    // Contacts of an earlier campaign to target again: 'all', 'failed', 'skipped' or 'not_read'
+    async getCloneTargets(sourceCampaignId, mode) {
+        const where = { campaign_id: sourceCampaignId, contact_id: { [Op.ne]: null } };
+
+        if (mode === 'failed' || mode === 'skipped') {
+            where.status = mode;
+        } else if (mode === 'not_read') {
+            where.status = { [Op.ne]: 'read' };
+        }
+
+        const messages = await models.CampaignMessage.findAll({
+            where,
+            attributes: ['contact_id'],
+            order: [['id', 'ASC']]
+        });
+
+        return [...new Set(messages.map(m => m.contact_id))];
+    }
+
+    buildMessage(campaignId, template, contact) {
+        return {
+            campaign_id: campaignId,
+            contact_id: contact.id,
+            phone: contact.phone,
+            message_text: this.renderMessage(template, contact),
+            media_path: template.media_path
+        };
+    }
+
+    // Held messages get their text once the A/B test winner is known
+    buildVariantMessage(campaign, variants, contact) {
+        const { variant, held } = campaignVariants.assign(campaign, contact.phone, variants);
+
+        if (held) {
+            return {
+                campaign_id: campaign.id,
+                contact_id: contact.id,
+                phone: contact.phone,
+                status: 'held'
+            };
+        }
+
+        return {
+            ...this.buildMessage(campaign.id, variant.template, contact),
+            variant_id: variant.id
+        };
+    }
+
+    // Gives the held messages the winning variant and queues them
+    async releaseHeld(campaign, winner) {
+        const held = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaign.id, status: 'held' },
+            include: [{ model: models.Contact, as: 'contact' }]
+        });
+
+        for (const message of held) {
+            await models.CampaignMessage.update({
+                status: 'pending',
+                variant_id: winner.id,
+                message_text: message.contact ? this.renderMessage(winner.template, message.contact) : winner.template.message_text,
+                media_path: winner.template.media_path
+            }, { where: { id: message.id, status: 'held' } });
+        }
+
+        return held.length;
+    }
+
+    // Adds a pending message for each active contact the campaign does not target yet
+    async addTargets(campaign, template, contactIds, transaction) {
+        const existing = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaign.id, contact_id: { [Op.in]: contactIds } },
+            attributes: ['contact_id'],
+            transaction
+        });
+        const targeted = new Set(existing.map(m => m.contact_id));
+
+        const contacts = await models.Contact.findAll({
+            where: { id: { [Op.in]: contactIds.filter(id => !targeted.has(id)) }, is_active: true },
+            transaction
+        });
+
+        const variants = await campaignVariants.loadVariants(campaign.id, transaction);
+
+        for (const contact of contacts) {
+            await models.CampaignMessage.create(
+                variants.length > 0
+                    ? this.buildVariantMessage(campaign, variants, contact)
+                    : this.buildMessage(campaign.id, template, contact),
+                { transaction }
+            );
+        }
+
+        await this.syncTotalTargets(campaign, transaction);
+
+        return { added: contacts.length, skipped: contactIds.length - contacts.length };
+    }
+
+    // Only messages that have not been sent yet can be removed
+    async removeTargets(campaign, contactIds, transaction) {
+        const removed = await models.CampaignMessage.destroy({
+            where: { campaign_id: campaign.id, contact_id: { [Op.in]: contactIds }, status: { [Op.in]: ['pending', 'held'] } },
+            transaction
+        });
+
+        await this.syncTotalTargets(campaign, transaction);
+
+        return { removed, skipped: contactIds.length - removed };
+    }
+
+    // Renders the pending messages again, e.g. after the template changed
+    async rerenderPending(campaign, template, transaction) {
+        const pending = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaign.id, status: 'pending' },
+            include: [{ model: models.Contact, as: 'contact' }],
+            transaction
+        });
+
+        for (const message of pending) {
+            // Messages whose contact was deleted keep their text
+            const messageText = message.contact ? this.renderMessage(template, message.contact) : message.message_text;
+
+            await message.update({ message_text: messageText, media_path: template.media_path }, { transaction });
+        }
+
+        return pending.length;
+    }
+
+    async syncTotalTargets(campaign, transaction) {
+        const total = await models.CampaignMessage.count({
+            where: { campaign_id: campaign.id },
+            transaction
+        });
+
+        await campaign.update({ total_targets: total }, { transaction });
+    }
+}
+
+module.exports = new CampaignBuilder();
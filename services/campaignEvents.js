@@ -0,0 +1,116 @@
+const { EventEmitter } = require('events');
+const models = require('../models');
+const { Op } = require('sequelize');
+
+// Recent results kept per campaign to measure throughput
+const THROUGHPUT_SAMPLE_SIZE = 20;
+
+class CampaignEvents extends EventEmitter {
+    constructor() {
+        super();
+        // One listener per open SSE stream
+        this.setMaxListeners(0);
+        this.resultTimes = new Map();
+    }
+
+    subscribe(campaignId, listener) {
+        const channel = `campaign:${parseInt(campaignId)}`;
+        this.on(channel, listener);
+        return () => this.off(channel, listener);
+    }
+
+    hasSubscribers(campaignId) {
+        return this.listenerCount(`campaign:${parseInt(campaignId)}`) > 0;
+    }
+
+    publish(campaignId, event, data) {
+        this.emit(`campaign:${parseInt(campaignId)}`, event, data);
+    }
+
+    // Called by the runner for every attempt: status is sent, failed, retrying or skipped
+    async recordResult(campaignId, result) {
+        const id = parseInt(campaignId);
+        const times = this.resultTimes.get(id) || [];
+
+        times.push(Date.now());
+        if (times.length > THROUGHPUT_SAMPLE_SIZE) {
+            times.shift();
+        }
+        this.resultTimes.set(id, times);
+
+        if (!this.hasSubscribers(id)) {
+            return;
+        }
+
+        this.publish(id, 'message', result);
+        await this.publishProgress(id);
+    }
+
+    async publishProgress(campaignId) {
+        if (!this.hasSubscribers(campaignId)) {
+            return;
+        }
+
+        const progress = await this.getProgress(campaignId);
+        if (progress) {
+            this.publish(campaignId, 'progress', progress);
+        }
+    }
+
+    // Running totals plus throughput (messages per minute over the recent
+    // results) and an ETA, which falls back to delay_seconds per message
+    // before enough results have come in
+    async getProgress(campaignId) {
+        const campaign = await models.Campaign.findByPk(campaignId, {
+            attributes: ['id', 'status', 'total_targets', 'sent_count', 'failed_count', 'skipped_count',
+                'delivered_count', 'read_count', 'delay_seconds',
+                'pause_reason', 'waiting_reason', 'waiting_until']
+        });
+
+        if (!campaign) {
+            return null;
+        }
+
+        const remaining = await models.CampaignMessage.count({
+            where: { campaign_id: campaignId, status: { [Op.in]: ['pending', 'held', 'sending'] } }
+        });
+
+        const times = this.resultTimes.get(parseInt(campaignId)) || [];
+        const spanMs = times.length > 1 ? times[times.length - 1] - times[0] : 0;
+        const throughput = spanMs > 0 ? (times.length - 1) / (spanMs / 60000) : null;
+
+        let etaSeconds = null;
+        if (campaign.status === 'running' && !campaign.waiting_reason) {
+            etaSeconds = throughput
+                ? Math.round(remaining / throughput * 60)
+                : remaining * campaign.delay_seconds;
+        }
+
+        const processed = campaign.sent_count + campaign.failed_count + campaign.skipped_count;
+
+        return {
+            campaign_id: campaign.id,
+            status: campaign.status,
+            pause_reason: campaign.pause_reason,
+            waiting_reason: campaign.waiting_reason,
+            waiting_until: campaign.waiting_until,
+            total: campaign.total_targets,
+            sent: campaign.sent_count,
+            failed: campaign.failed_count,
+            skipped: campaign.skipped_count,
+            delivered: campaign.delivered_count,
+            read: campaign.read_count,
+            remaining,
+            percent: campaign.total_targets > 0 ? Math.round(processed / campaign.total_targets * 100) : 0,
+            throughput_per_minute: throughput === null ? null : Math.round(throughput * 10) / 10,
+            eta_seconds: etaSeconds,
+            eta_at: etaSeconds === null ? null : new Date(Date.now() + etaSeconds * 1000)
+        };
+    }
+
+    clear(campaignId) {
+        this.resultTimes.delete(parseInt(campaignId));
+    }
+}
+
+module.exports = new CampaignEvents();
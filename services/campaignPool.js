@@ -0,0 +1,278 @@
+const models = require('../models');
+const whatsappService = require('./whatsapp');
+const sendQuota = require('./sendQuota');
+const { Op, fn, col } = require('sequelize');
+
+// Pending rows are reassigned in chunks to keep the IN (...) lists short
+const UPDATE_CHUNK_SIZE = 500;
+
+class CampaignPool {
+    // Validates [{ account_id, weight, max_messages }]
+    normalize(pool) {
+        if (!Array.isArray(pool) || pool.length === 0) {
+            throw new Error('account_pool must list at least one account');
+        }
+
+        const normalized = pool.map(member => ({
+            account_id: parseInt(member.account_id),
+            weight: member.weight === undefined ? 1 : parseInt(member.weight),
+            max_messages: member.max_messages === undefined || member.max_messages === null || member.max_messages === ''
+                ? null
+                : parseInt(member.max_messages)
+        }));
+
+        if (normalized.some(m => !Number.isInteger(m.account_id))) {
+            throw new Error('Every account_pool entry needs an account_id');
+        }
+
+        if (normalized.some(m => !Number.isInteger(m.weight) || m.weight < 1)) {
+            throw new Error('account_pool weight must be a positive number');
+        }
+
+        if (normalized.some(m => m.max_messages !== null && (!Number.isInteger(m.max_messages) || m.max_messages < 1))) {
+            throw new Error('account_pool max_messages must be a positive number or empty');
+        }
+
+        if (new Set(normalized.map(m => m.account_id)).size !== normalized.length) {
+            throw new Error('An account can only appear once in account_pool');
+        }
+
+        return normalized;
+    }
+
+    // Returns an error message unless every account exists and one is connected
+    async validateAccounts(pool) {
+        const accounts = await models.Account.findAll({
+            where: { id: { [Op.in]: pool.map(m => m.account_id) } },
+            attributes: ['id', 'status']
+        });
+
+        if (accounts.length !== pool.length) {
+            return 'account_pool contains an unknown account';
+        }
+
+        if (!accounts.some(account => account.status === 'connected')) {
+            return 'At least one account in account_pool must be connected';
+        }
+
+        return null;
+    }
+
+    async getMembers(campaignId) {
+        return models.CampaignAccount.findAll({
+            where: { campaign_id: campaignId },
+            order: [['id', 'ASC']]
+        });
+    }
+
+    async isPooled(campaignId) {
+        return await models.CampaignAccount.count({ where: { campaign_id: campaignId } }) > 0;
+    }
+
+    // Campaign ids whose pool contains the account
+    async getCampaignIdsForAccount(accountId) {
+        const members = await models.CampaignAccount.findAll({
+            where: { account_id: accountId },
+            attributes: ['campaign_id']
+        });
+
+        return members.map(m => m.campaign_id);
+    }
+
+    // Whether the account can take more messages of this campaign right now
+    async checkMember(member) {
+        if (member.max_messages !== null && member.sent_count >= member.max_messages) {
+            return { usable: false, reason: 'capacity_reached' };
+        }
+
+        if (!await whatsappService.isAccountReady(member.account_id)) {
+            return { usable: false, reason: 'not_connected' };
+        }
+
+        const account = await models.Account.findByPk(member.account_id, {
+            attributes: ['id', 'hourly_quota', 'daily_quota']
+        });
+        const usage = await sendQuota.getUsage(account);
+        const exhausted = [usage.daily, usage.hourly].find(quota => quota.remaining === 0);
+
+        if (exhausted) {
+            return { usable: false, reason: 'quota_exceeded', retryAt: exhausted.resets_at };
+        }
+
+        return { usable: true };
+    }
+
+    // True when a single-account campaign's account, or any pool account, is connected
+    async hasReadyAccount(campaign) {
+        const members = await this.getMembers(campaign.id);
+
+        if (members.length === 0) {
+            return whatsappService.isAccountReady(campaign.account_id);
+        }
+
+        for (const member of members) {
+            if (await whatsappService.isAccountReady(member.account_id)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Spreads all pending rows over the usable accounts by weight (smooth
+    // weighted round-robin), without going past any account's max_messages.
+    // Returns the accounts that received rows and, for the others, why not.
+    async rebalance(campaign) {
+        const members = await this.getMembers(campaign.id);
+        const usable = [];
+        const unusable = [];
+
+        for (const member of members) {
+            const check = await this.checkMember(member);
+            (check.usable ? usable : unusable).push({ member, ...check });
+        }
+
+        const pending = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaign.id, status: 'pending' },
+            attributes: ['id', 'account_id'],
+            order: [['id', 'ASC']],
+            raw: true
+        });
+
+        const inFlight = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaign.id, status: 'sending', account_id: { [Op.ne]: null } },
+            attributes: ['account_id', [fn('COUNT', col('*')), 'count']],
+            group: ['account_id'],
+            raw: true
+        });
+
+        const slots = usable.map(({ member }) => {
+            const sending = inFlight.find(row => row.account_id === member.account_id);
+            return {
+                accountId: member.account_id,
+                weight: member.weight,
+                current: 0,
+                capacity: member.max_messages === null
+                    ? Infinity
+                    : member.max_messages - member.sent_count - (sending ? parseInt(sending.count) : 0),
+                rowIds: []
+            };
+        });
+
+        const unassigned = [];
+
+        for (const row of pending) {
+            const open = slots.filter(slot => slot.capacity > 0);
+
+            if (open.length === 0) {
+                unassigned.push(row.id);
+                continue;
+            }
+
+            const totalWeight = open.reduce((sum, slot) => sum + slot.weight, 0);
+            open.forEach(slot => { slot.current += slot.weight; });
+
+            const chosen = open.reduce((best, slot) => (slot.current > best.current ? slot : best));
+            chosen.current -= totalWeight;
+            chosen.capacity--;
+            chosen.rowIds.push(row.id);
+        }
+
+        const assignments = slots.map(slot => [slot.accountId, slot.rowIds]);
+        assignments.push([null, unassigned]);
+
+        const currentAccount = new Map(pending.map(row => [row.id, row.account_id]));
+
+        let moved = 0;
+        for (const [accountId, rowIds] of assignments) {
+            const changed = rowIds.filter(id => currentAccount.get(id) !== accountId);
+
+            for (let i = 0; i < changed.length; i += UPDATE_CHUNK_SIZE) {
+                await models.CampaignMessage.update(
+                    { account_id: accountId },
+                    { where: { id: { [Op.in]: changed.slice(i, i + UPDATE_CHUNK_SIZE) }, status: 'pending' } }
+                );
+            }
+
+            moved += changed.length;
+        }
+
+        if (moved > 0) {
+            console.log(`🔀 Campaign ${campaign.id}: reassigned ${moved} pending messages across ${slots.length} accounts`);
+        }
+
+        return {
+            accountIds: slots.filter(slot => slot.rowIds.length > 0).map(slot => slot.accountId),
+            unassigned: unassigned.length,
+            unusable
+        };
+    }
+
+    async recordSend(campaignId, accountId) {
+        await models.CampaignAccount.increment(
+            { sent_count: 1 },
+            { where: { campaign_id: campaignId, account_id: accountId } }
+        );
+    }
+
+    // Members with their account and what each one has sent for the campaign
+    async getStats(campaignId) {
+        const members = await models.CampaignAccount.findAll({
+            where: { campaign_id: campaignId },
+            include: [{ model: models.Account, as: 'account', attributes: ['name', 'phone', 'status'] }],
+            order: [['id', 'ASC']]
+        });
+
+        if (members.length === 0) {
+            return [];
+        }
+
+        const rows = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaignId, account_id: { [Op.ne]: null } },
+            attributes: ['account_id', 'status', [fn('COUNT', col('*')), 'count']],
+            group: ['account_id', 'status'],
+            raw: true
+        });
+
+        return members.map(member => {
+            const counts = {};
+            rows.filter(row => row.account_id === member.account_id)
+                .forEach(row => { counts[row.status] = parseInt(row.count); });
+
+            return {
+                account_id: member.account_id,
+                account_name: member.account?.name,
+                account_phone: member.account?.phone,
+                account_status: member.account?.status,
+                weight: member.weight,
+                max_messages: member.max_messages,
+                sent_count: member.sent_count,
+                assigned_pending: (counts.pending || 0) + (counts.sending || 0),
+                failed: counts.failed || 0
+            };
+        });
+    }
+
+    // Replaces the pool, keeping what remaining members already sent;
+    // pending rows get reassigned on the next run
+    async setMembers(campaignId, pool, transaction) {
+        await models.CampaignAccount.destroy({
+            where: { campaign_id: campaignId, account_id: { [Op.notIn]: pool.map(m => m.account_id) } },
+            transaction
+        });
+
+        for (const member of pool) {
+            const [row, created] = await models.CampaignAccount.findOrCreate({
+                where: { campaign_id: campaignId, account_id: member.account_id },
+                defaults: member,
+                transaction
+            });
+
+            if (!created) {
+                await row.update({ weight: member.weight, max_messages: member.max_messages }, { transaction });
+            }
+        }
+    }
+}
+
+module.exports = new CampaignPool();
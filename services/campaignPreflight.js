@@ -0,0 +1,226 @@
+const fs = require('fs-extra');
+const models = require('../models');
+const whatsappService = require('./whatsapp');
+const campaignReport = require('./campaignReport');
+const campaignPool = require('./campaignPool');
+const frequencyCap = require('./frequencyCap');
+
+const PHONE_REGEX = /^[0-9]{10,15}$/;
+const PLACEHOLDER_REGEX = /\{[A-Za-z0-9_]+\}/g;
+
+// WhatsApp's limits per media kind, in bytes
+const MEDIA_SIZE_LIMITS = {
+    image: 16 * 1024 * 1024,
+    video: 16 * 1024 * 1024,
+    audio: 16 * 1024 * 1024,
+    document: 100 * 1024 * 1024
+};
+
+function getMediaKind(mimeType) {
+    const kind = mimeType.split('/')[0];
+    return MEDIA_SIZE_LIMITS[kind] ? kind : 'document';
+}
+
+function formatDuration(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    return [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+class CampaignPreflight {
+    // Checks everything that would make the pending messages fail, without sending
+    async run(campaign) {
+        const issues = [];
+        const addIssue = (level, code, message) => issues.push({ level, code, message });
+
+        const account = await models.Account.findByPk(campaign.account_id, {
+            attributes: ['id', 'name', 'phone']
+        });
+        const accountConnected = !!account && await whatsappService.isAccountReady(campaign.account_id);
+
+        const pool = await campaignPool.getStats(campaign.id);
+        const connectedPoolAccounts = pool.filter(member => member.account_status === 'connected' &&
+            whatsappService.hasSession(member.account_id));
+
+        if (pool.length > 0) {
+            if (connectedPoolAccounts.length === 0) {
+                addIssue('error', 'account_not_connected', 'No account in the pool is connected');
+            } else if (connectedPoolAccounts.length < pool.length) {
+                addIssue('warning', 'pool_account_not_connected', `${pool.length - connectedPoolAccounts.length} of ${pool.length} pool accounts are not connected`);
+            }
+        } else if (!account) {
+            addIssue('error', 'account_missing', 'Account not found');
+        } else if (!accountConnected) {
+            addIssue('error', 'account_not_connected', `Account "${account.name}" is not connected`);
+        }
+
+        const rows = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaign.id, status: 'pending' },
+            include: [
+                {
+                    model: models.Contact,
+                    as: 'contact',
+                    attributes: ['name']
+                }
+            ],
+            order: [['id', 'ASC']]
+        });
+
+        const media = [];
+        for (const mediaPath of new Set(rows.map(row => row.media_path).filter(Boolean))) {
+            media.push(await this.checkMedia(mediaPath));
+        }
+
+        media.forEach(file => {
+            if (!file.exists) {
+                addIssue('error', 'media_missing', `Media file not found: ${file.path}`);
+            } else if (!file.within_limit) {
+                addIssue('error', 'media_too_large', `Media file ${file.path} is ${file.size} bytes, above the ${file.limit} byte limit for ${file.kind} files`);
+            }
+        });
+
+        // Recipients that would be skipped if the campaign sent right now
+        const cap = frequencyCap.resolveForCampaign(campaign);
+        const recentCounts = cap
+            ? await frequencyCap.getRecentCounts(campaign.id, rows.map(row => row.phone), cap)
+            : new Map();
+
+        const seenPhones = new Set();
+        const counts = { invalid_phone: 0, duplicate_phone: 0, unresolved_placeholder: 0, empty_message: 0, frequency_capped: 0 };
+
+        const messages = rows.map(row => {
+            const rowIssues = [];
+
+            if (!PHONE_REGEX.test(row.phone)) {
+                rowIssues.push('invalid_phone');
+            }
+
+            if (seenPhones.has(row.phone)) {
+                rowIssues.push('duplicate_phone');
+            }
+            seenPhones.add(row.phone);
+
+            if (cap && (recentCounts.get(row.phone) || 0) >= cap.max) {
+                rowIssues.push('frequency_capped');
+            }
+
+            const placeholders = (row.message_text || '').match(PLACEHOLDER_REGEX) || [];
+            if (placeholders.length > 0) {
+                rowIssues.push('unresolved_placeholder');
+            }
+
+            if (!row.message_text?.trim() && !row.media_path) {
+                rowIssues.push('empty_message');
+            }
+
+            rowIssues.forEach(issue => counts[issue]++);
+
+            return {
+                id: row.id,
+                contact_name: row.contact?.name || null,
+                phone: row.phone,
+                message_text: row.message_text,
+                unresolved_placeholders: [...new Set(placeholders)],
+                issues: rowIssues
+            };
+        });
+
+        if (counts.invalid_phone > 0) {
+            addIssue('error', 'invalid_phone', `${counts.invalid_phone} contacts have an invalid phone number`);
+        }
+        if (counts.duplicate_phone > 0) {
+            addIssue('warning', 'duplicate_phone', `${counts.duplicate_phone} contacts repeat a phone number already targeted`);
+        }
+        if (counts.unresolved_placeholder > 0) {
+            addIssue('warning', 'unresolved_placeholder', `${counts.unresolved_placeholder} messages still contain placeholders`);
+        }
+        if (counts.empty_message > 0) {
+            addIssue('error', 'empty_message', `${counts.empty_message} messages have neither text nor media`);
+        }
+        if (counts.frequency_capped > 0) {
+            addIssue('warning', 'frequency_capped', `${counts.frequency_capped} recipients already reached the frequency cap of ${cap.max} per ${cap.hours} hours and would be skipped`);
+        }
+        if (rows.length === 0) {
+            addIssue('warning', 'nothing_to_send', 'Campaign has no pending messages');
+        }
+
+        // The runner waits delay_seconds after every message; pool accounts send side by side
+        const lanes = Math.max(connectedPoolAccounts.length, 1);
+        const durationSeconds = Math.ceil(rows.length / lanes) * campaign.delay_seconds;
+
+        return {
+            campaign_id: campaign.id,
+            campaign_name: campaign.name,
+            campaign_status: campaign.status,
+            generated_at: new Date(),
+            ready: !issues.some(issue => issue.level === 'error'),
+            account: {
+                id: campaign.account_id,
+                name: account?.name || null,
+                connected: accountConnected
+            },
+            account_pool: pool.map(member => ({
+                id: member.account_id,
+                name: member.account_name,
+                connected: connectedPoolAccounts.includes(member)
+            })),
+            summary: {
+                pending_messages: rows.length,
+                ...counts
+            },
+            media,
+            estimate: {
+                messages: rows.length,
+                delay_seconds: campaign.delay_seconds,
+                parallel_accounts: lanes,
+                duration_seconds: durationSeconds,
+                duration: formatDuration(durationSeconds)
+            },
+            issues,
+            messages
+        };
+    }
+
+    async checkMedia(mediaPath) {
+        const kind = getMediaKind(whatsappService.getMimeType(mediaPath));
+        const limit = MEDIA_SIZE_LIMITS[kind];
+
+        try {
+            const stats = await fs.stat(mediaPath);
+            return { path: mediaPath, exists: true, kind, size: stats.size, limit, within_limit: stats.size <= limit };
+        } catch (statError) {
+            return { path: mediaPath, exists: false, kind, size: null, limit, within_limit: false };
+        }
+    }
+
+    // Summary lines prefixed with '#', then one row per message
+    toCsv(report) {
+        const summaryValue = (value) => campaignReport.toSummaryValue(value);
+        const lines = [
+            `# Campaign: ${summaryValue(`${report.campaign_name} (#${report.campaign_id})`)}`,
+            `# Generated at: ${report.generated_at.toISOString()}`,
+            `# Ready: ${report.ready ? 'yes' : 'no'}`,
+            `# Account: ${summaryValue(`${report.account.name || '-'} (${report.account.connected ? 'connected' : 'not connected'})`)}`,
+            `# Pending messages: ${report.summary.pending_messages}`,
+            `# Estimated duration: ${report.estimate.duration}`,
+            ...report.issues.map(issue => `# ${issue.level.toUpperCase()}: ${summaryValue(issue.message)}`),
+            ['id', 'contact_name', 'phone', 'issues', 'message_text'].join(',')
+        ];
+
+        report.messages.forEach(message => {
+            lines.push([
+                message.id,
+                message.contact_name,
+                message.phone,
+                message.issues.join(' '),
+                message.message_text
+            ].map(value => campaignReport.toCsvValue(value)).join(','));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = new CampaignPreflight();
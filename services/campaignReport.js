@@ -0,0 +1,208 @@
+const models = require('../models');
+const { Op, fn, col } = require('sequelize');
+
+// Rows fetched per query while streaming, so large campaigns never sit in memory at once
+const BATCH_SIZE = 500;
+
+const MESSAGE_COLUMNS = [
+    'id', 'contact_name', 'phone', 'account', 'message_text', 'status', 'error_message',
+    'attempt_count', 'sent_at', 'delivered_at', 'read_at'
+];
+
+const SUMMARY_LABELS = {
+    campaign_id: 'Campaign ID',
+    campaign_name: 'Campaign',
+    status: 'Status',
+    account: 'Account',
+    template: 'Template',
+    created_at: 'Created at',
+    started_at: 'Started at',
+    completed_at: 'Completed at',
+    total_targets: 'Total targets',
+    sent: 'Sent',
+    delivered: 'Delivered',
+    read: 'Read',
+    failed: 'Failed',
+    skipped: 'Skipped (frequency cap)',
+    undelivered: 'Undelivered (no receipt)',
+    pending: 'Pending',
+    success_rate: 'Success rate (%)',
+    generated_at: 'Generated at'
+};
+
+function toIso(date) {
+    return date ? new Date(date).toISOString() : null;
+}
+
+// Waits for the response buffer to drain before writing more; a client that
+// disconnected mid-download ends the stream
+function write(res, chunk) {
+    if (res.destroyed) {
+        return Promise.reject(new Error('Client closed the connection'));
+    }
+
+    if (res.write(chunk)) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            res.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            res.off('drain', onDrain);
+            reject(new Error('Client closed the connection'));
+        };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+class CampaignReport {
+    // Quotes values that would break the row, and keeps spreadsheets from
+    // running values that start like a formula
+    toCsvValue(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // A value on a '#' summary line, which has to stay on one line
+    toSummaryValue(value) {
+        return this.toCsvValue(String(value).replace(/[\r\n]+/g, ' '));
+    }
+
+    async getSummary(campaign) {
+        const [account, template, statusCounts] = await Promise.all([
+            models.Account.findByPk(campaign.account_id, { attributes: ['name', 'phone'] }),
+            models.MessageTemplate.findByPk(campaign.template_id, { attributes: ['name'] }),
+            models.CampaignMessage.findAll({
+                where: { campaign_id: campaign.id },
+                attributes: ['status', [fn('COUNT', col('*')), 'count']],
+                group: ['status'],
+                raw: true
+            })
+        ]);
+
+        const counts = {};
+        statusCounts.forEach(row => {
+            counts[row.status] = parseInt(row.count);
+        });
+
+        // Delivered, read and undelivered messages were sent first
+        const sent = (counts.sent || 0) + (counts.delivered || 0) + (counts.read || 0) + (counts.undelivered || 0);
+        const failed = counts.failed || 0;
+        const processed = sent + failed;
+
+        return {
+            campaign_id: campaign.id,
+            campaign_name: campaign.name,
+            status: campaign.status,
+            account: account ? `${account.name}${account.phone ? ` (${account.phone})` : ''}` : null,
+            template: template?.name || null,
+            created_at: toIso(campaign.created_at),
+            started_at: toIso(campaign.started_at),
+            completed_at: toIso(campaign.completed_at),
+            total_targets: campaign.total_targets,
+            sent,
+            delivered: (counts.delivered || 0) + (counts.read || 0),
+            read: counts.read || 0,
+            failed,
+            skipped: counts.skipped || 0,
+            undelivered: counts.undelivered || 0,
+            pending: (counts.pending || 0) + (counts.held || 0) + (counts.sending || 0),
+            success_rate: processed > 0 ? Math.round(sent / processed * 1000) / 10 : null,
+            generated_at: new Date().toISOString()
+        };
+    }
+
+    // Yields every message of the campaign in id order, one batch at a time
+    async *iterateMessages(campaignId) {
+        let lastId = 0;
+
+        while (true) {
+            const rows = await models.CampaignMessage.findAll({
+                where: { campaign_id: campaignId, id: { [Op.gt]: lastId } },
+                include: [
+                    {
+                        model: models.Contact,
+                        as: 'contact',
+                        attributes: ['name']
+                    },
+                    {
+                        model: models.Account,
+                        as: 'account',
+                        attributes: ['name']
+                    }
+                ],
+                order: [['id', 'ASC']],
+                limit: BATCH_SIZE
+            });
+
+            if (rows.length === 0) {
+                return;
+            }
+
+            for (const row of rows) {
+                yield {
+                    id: row.id,
+                    contact_name: row.contact?.name || null,
+                    phone: row.phone,
+                    // The account that sent it, or for pool campaigns the one it is assigned to
+                    account: row.account?.name || null,
+                    message_text: row.message_text,
+                    status: row.status,
+                    error_message: row.error_message,
+                    attempt_count: row.attempt_count,
+                    sent_at: toIso(row.sent_at),
+                    delivered_at: toIso(row.delivered_at),
+                    read_at: toIso(row.read_at)
+                };
+            }
+
+            lastId = rows[rows.length - 1].id;
+        }
+    }
+
+    // Summary block as '#' lines, then the header row and one row per message
+    async streamCsv(campaign, res) {
+        const summary = await this.getSummary(campaign);
+
+        const header = Object.entries(SUMMARY_LABELS)
+            .map(([key, label]) => {
+                const value = summary[key] ?? null;
+                return `# ${label}: ${value === null ? '-' : this.toSummaryValue(value)}\n`;
+            })
+            .join('');
+
+        await write(res, header + MESSAGE_COLUMNS.join(',') + '\n');
+
+        for await (const message of this.iterateMessages(campaign.id)) {
+            await write(res, MESSAGE_COLUMNS.map(column => this.toCsvValue(message[column])).join(',') + '\n');
+        }
+
+        res.end();
+    }
+
+    // { "summary": {...}, "messages": [...] }, written element by element
+    async streamJson(campaign, res) {
+        const summary = await this.getSummary(campaign);
+
+        await write(res, `{"summary":${JSON.stringify(summary)},"messages":[`);
+
+        let first = true;
+        for await (const message of this.iterateMessages(campaign.id)) {
+            await write(res, (first ? '' : ',') + JSON.stringify(message));
+            first = false;
+        }
+
+        res.end(']}');
+    }
+}
+
+module.exports = new CampaignReport();
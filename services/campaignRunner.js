@@ -0,0 +1,661 @@
+const models = require('../models');
+const whatsappService = require('./whatsapp');
+const sendWindow = require('./sendWindow');
+const campaignEvents = require('./campaignEvents');
+const campaignBuilder = require('./campaignBuilder');
+const campaignVariants = require('./campaignVariants');
+const campaignPool = require('./campaignPool');
+const frequencyCap = require('./frequencyCap');
+const { Op } = require('sequelize');
+
+// Rows found in 'sending' at boot may or may not have reached WhatsApp,
+// so they are failed instead of re-sent.
+const INTERRUPTED_ERROR = 'Interrupted by server restart before delivery was confirmed';
+
+// Errors worth another attempt: the connection dropped or WhatsApp was slow,
+// not a problem with the recipient or the message itself.
+const TRANSIENT_ERROR_PATTERNS = [
+    /connection (closed|lost|terminated|was lost)/i,
+    /timed? ?out/i,
+    /not connected/i,
+    /stream errored/i,
+    /ECONNRESET|ETIMEDOUT|EPIPE/
+];
+
+// Longest the loop sleeps while only backed-off retries remain, so pauses
+// and cancels are still noticed promptly
+const RETRY_POLL_INTERVAL = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CampaignRunner {
+    constructor() {
+        this.activeRuns = new Map();
+        this.rerunRequested = new Set();
+        // Per active run: its lanes, keyed by account id
+        this.runContexts = new Map();
+        this.initialized = false;
+    }
+
+    async initialize() {
+        try {
+            await this.recoverInterruptedMessages();
+            this.initialized = true;
+
+            const campaigns = await models.Campaign.findAll({
+                where: { status: 'running' },
+                attributes: ['id', 'account_id']
+            });
+
+            console.log(`🔄 Found ${campaigns.length} running campaigns to resume`);
+
+            for (const campaign of campaigns) {
+                if (await campaignPool.hasReadyAccount(campaign)) {
+                    this.start(campaign.id);
+                } else {
+                    console.log(`⏳ Campaign ${campaign.id} waiting for account ${campaign.account_id} to connect`);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to initialize campaign runner:', error);
+        }
+    }
+
+    async recoverInterruptedMessages() {
+        const interrupted = await models.CampaignMessage.findAll({
+            where: { status: 'sending' },
+            attributes: ['id', 'campaign_id'],
+            raw: true
+        });
+
+        if (interrupted.length === 0) {
+            return;
+        }
+
+        await models.CampaignMessage.update(
+            { status: 'failed', error_message: INTERRUPTED_ERROR },
+            { where: { id: { [Op.in]: interrupted.map(m => m.id) } } }
+        );
+
+        const perCampaign = {};
+        interrupted.forEach(m => {
+            perCampaign[m.campaign_id] = (perCampaign[m.campaign_id] || 0) + 1;
+        });
+
+        for (const [campaignId, count] of Object.entries(perCampaign)) {
+            await models.Campaign.increment(
+                { failed_count: count },
+                { where: { id: campaignId } }
+            );
+        }
+
+        console.log(`⚠️ Marked ${interrupted.length} interrupted campaign messages as failed`);
+    }
+
+    // Starts the send loop unless one is already active for this campaign.
+    // A start request that arrives while the loop is winding down is
+    // replayed once it has finished.
+    start(campaignId) {
+        const id = parseInt(campaignId);
+
+        if (this.activeRuns.has(id)) {
+            this.rerunRequested.add(id);
+            return false;
+        }
+
+        const run = this.run(id)
+            .catch(error => console.error(`❌ Campaign ${id} runner error:`, error))
+            .finally(() => {
+                this.activeRuns.delete(id);
+
+                if (this.rerunRequested.delete(id)) {
+                    this.start(id);
+                }
+            });
+
+        this.activeRuns.set(id, run);
+        return true;
+    }
+
+    isRunning(campaignId) {
+        return this.activeRuns.has(parseInt(campaignId));
+    }
+
+    async onAccountConnected(accountId) {
+        if (!this.initialized) {
+            return;
+        }
+
+        // The account's own campaigns plus pool campaigns it belongs to
+        const accountCampaigns = {
+            [Op.or]: [
+                { account_id: accountId },
+                { id: { [Op.in]: await campaignPool.getCampaignIdsForAccount(accountId) } }
+            ]
+        };
+
+        // Only campaigns paused because of the disconnect resume on their own
+        const disconnected = await models.Campaign.findAll({
+            where: { ...accountCampaigns, status: 'paused', pause_reason: 'account_disconnected' },
+            attributes: ['id', 'name']
+        });
+
+        for (const campaign of disconnected) {
+            const [resumed] = await models.Campaign.update(
+                { status: 'running', pause_reason: null },
+                { where: { id: campaign.id, status: 'paused', pause_reason: 'account_disconnected' } }
+            );
+
+            if (resumed > 0) {
+                await models.ActivityLog.create({
+                    account_id: accountId,
+                    action: 'campaign_auto_resumed',
+                    description: `Campaign "${campaign.name}" resumed after the account reconnected`
+                });
+            }
+        }
+
+        const campaigns = await models.Campaign.findAll({
+            where: { ...accountCampaigns, status: 'running' },
+            attributes: ['id']
+        });
+
+        for (const campaign of campaigns) {
+            if (await this.rebalanceRun(campaign.id)) {
+                console.log(`🔀 Account ${accountId} joined the running pool of campaign ${campaign.id}`);
+            } else if (this.start(campaign.id)) {
+                console.log(`▶️ Resuming campaign ${campaign.id} after account ${accountId} connected`);
+            }
+        }
+    }
+
+    // Pool campaigns are not paused here: the other accounts take over the
+    // account's rows
+    async onAccountDisconnected(accountId) {
+        for (const campaignId of await campaignPool.getCampaignIdsForAccount(accountId)) {
+            await this.rebalanceRun(campaignId);
+        }
+
+        const campaigns = await models.Campaign.findAll({
+            where: { account_id: accountId, status: 'running' },
+            attributes: ['id', 'name']
+        });
+
+        for (const campaign of campaigns) {
+            if (await campaignPool.isPooled(campaign.id)) {
+                continue;
+            }
+
+            if (await this.autoPause(campaign, accountId, 'account_disconnected', 'the account disconnected')) {
+                console.log(`⏸️ Campaign ${campaign.id} paused because account ${accountId} disconnected`);
+            }
+        }
+    }
+
+    async autoPause(campaign, accountId, reason, explanation) {
+        const [paused] = await models.Campaign.update(
+            { status: 'paused', pause_reason: reason },
+            { where: { id: campaign.id, status: 'running' } }
+        );
+
+        if (paused > 0) {
+            await models.ActivityLog.create({
+                account_id: accountId,
+                action: 'campaign_auto_paused',
+                description: `Campaign "${campaign.name}" paused because ${explanation}`
+            });
+        }
+
+        return paused > 0;
+    }
+
+    // Sends the campaign's pending messages. Single-account campaigns run one
+    // send loop ("lane"); pool campaigns run a lane per usable account, each
+    // sending the rows assigned to it.
+    async run(campaignId) {
+        const campaign = await models.Campaign.findOne({
+            where: { id: campaignId, status: 'running' }
+        });
+
+        if (!campaign) {
+            return;
+        }
+
+        const context = {
+            pooled: await campaignPool.isPooled(campaignId),
+            lanes: new Map(),
+            stopped: false,
+            closed: false,
+            rebalancing: Promise.resolve()
+        };
+
+        this.runContexts.set(campaign.id, context);
+
+        try {
+            while (true) {
+                if (context.pooled) {
+                    if (!await this.ensureLanes(campaign, context)) {
+                        break;
+                    }
+                } else {
+                    if (!await whatsappService.isAccountReady(campaign.account_id)) {
+                        console.log(`⏳ Campaign ${campaignId} waiting for account ${campaign.account_id} to connect`);
+                        break;
+                    }
+
+                    this.startLane(campaign, context, campaign.account_id);
+                }
+
+                while (context.lanes.size > 0) {
+                    await Promise.race(context.lanes.values());
+                }
+
+                if (context.stopped) {
+                    break;
+                }
+
+                // A pool lane that lost its account may have left rows for a new round
+                if (context.pooled && await this.hasSendableMessages(campaign.id)) {
+                    continue;
+                }
+
+                // The A/B test slice is done; the held rest goes out once a winner is picked
+                if (await this.releaseHeldMessages(campaign)) {
+                    continue;
+                }
+
+                break;
+            }
+        } finally {
+            context.closed = true;
+            this.runContexts.delete(campaign.id);
+        }
+
+        await this.completeIfFinished(campaignId);
+        await campaignEvents.publishProgress(campaignId);
+    }
+
+    startLane(campaign, context, accountId) {
+        if (context.lanes.has(accountId)) {
+            return;
+        }
+
+        const lane = this.runLane(campaign, context, accountId)
+            .then(result => {
+                if (result === 'stopped') {
+                    context.stopped = true;
+                }
+
+                // Hand the lane's rows to the other accounts
+                if (result === 'account_unavailable') {
+                    return this.ensureLanes(campaign, context);
+                }
+            })
+            .catch(error => {
+                console.error(`❌ Campaign ${campaign.id} lane for account ${accountId} failed:`, error);
+                context.stopped = true;
+            })
+            .finally(() => context.lanes.delete(accountId));
+
+        context.lanes.set(accountId, lane);
+    }
+
+    // Rebalances the pool and starts lanes for accounts that received rows.
+    // When no account can take them, the campaign is paused or set to wait.
+    // Returns false in that case.
+    async ensureLanes(campaign, context) {
+        // Lanes finishing at the same time must not rebalance concurrently
+        const result = await (context.rebalancing = context.rebalancing.then(() => campaignPool.rebalance(campaign)));
+
+        if (context.closed) {
+            return false;
+        }
+
+        result.accountIds.forEach(accountId => this.startLane(campaign, context, accountId));
+
+        if (result.accountIds.length > 0 || result.unassigned === 0) {
+            return true;
+        }
+
+        if (context.lanes.size === 0) {
+            await this.holdPool(campaign, result.unusable);
+        }
+
+        return false;
+    }
+
+    // No pool account can send: wait for a quota reset, or pause until an account reconnects
+    async holdPool(campaign, unusable) {
+        const quotaResets = unusable.filter(u => u.reason === 'quota_exceeded').map(u => u.retryAt);
+
+        if (quotaResets.length > 0) {
+            const retryAt = new Date(Math.min(...quotaResets));
+
+            await models.Campaign.update(
+                { waiting_reason: 'waiting_for_quota', waiting_until: retryAt },
+                { where: { id: campaign.id } }
+            );
+
+            console.log(`⏳ Campaign ${campaign.id} deferred until ${retryAt.toISOString()}: every pool account reached its quota`);
+        } else if (unusable.some(u => u.reason === 'not_connected')) {
+            await this.autoPause(campaign, campaign.account_id, 'account_disconnected', 'no account in its pool is connected');
+        } else {
+            await this.autoPause(campaign, campaign.account_id, 'pool_exhausted', 'every account in its pool reached its max_messages');
+        }
+    }
+
+    // Redistributes an active pool run after one of its accounts connected or
+    // disconnected; returns false when the campaign has no active pool run
+    async rebalanceRun(campaignId) {
+        const context = this.runContexts.get(parseInt(campaignId));
+
+        if (!context || context.closed || !context.pooled) {
+            return false;
+        }
+
+        const campaign = await models.Campaign.findByPk(campaignId);
+        await this.ensureLanes(campaign, context);
+        return true;
+    }
+
+    async hasSendableMessages(campaignId) {
+        return await models.CampaignMessage.count({
+            where: { campaign_id: campaignId, status: 'pending' }
+        }) > 0;
+    }
+
+    // Returns 'done' when the lane has nothing left to send, 'stopped' when the
+    // whole campaign has to stop, or 'account_unavailable' when only this
+    // pool account cannot continue
+    async runLane(campaign, context, accountId) {
+        const campaignId = campaign.id;
+        const window = sendWindow.resolveForCampaign(campaign);
+        const cap = frequencyCap.resolveForCampaign(campaign);
+        let isWaiting = !!campaign.waiting_reason;
+
+        let consecutiveFailures = 0;
+
+        while (true) {
+            // Check if campaign is still running
+            const currentCampaign = await models.Campaign.findByPk(campaignId, {
+                attributes: ['status']
+            });
+
+            if (!currentCampaign || currentCampaign.status !== 'running') {
+                console.log(`Campaign ${campaignId} stopped or paused`);
+                return 'stopped';
+            }
+
+            // Outside the allowed hours the run ends; the scheduler restarts it when the window opens
+            if (window && !sendWindow.isOpen(window)) {
+                const opensAt = sendWindow.getNextOpenTime(window);
+
+                await models.Campaign.update(
+                    { waiting_reason: 'waiting_for_window', waiting_until: opensAt },
+                    { where: { id: campaignId } }
+                );
+
+                console.log(`🌙 Campaign ${campaignId} is outside its send window until ${opensAt ? opensAt.toISOString() : 'further notice'}`);
+                return 'stopped';
+            }
+
+            if (isWaiting) {
+                await models.Campaign.update(
+                    { waiting_reason: null, waiting_until: null },
+                    { where: { id: campaignId } }
+                );
+                isWaiting = false;
+            }
+
+            if (context.pooled && !await whatsappService.isAccountReady(accountId)) {
+                console.log(`🔀 Campaign ${campaignId}: account ${accountId} left the pool run`);
+                return 'account_unavailable';
+            }
+
+            const laneWhere = context.pooled ? { account_id: accountId } : {};
+
+            const messageData = await models.CampaignMessage.findOne({
+                where: {
+                    campaign_id: campaignId,
+                    status: 'pending',
+                    ...laneWhere,
+                    [Op.or]: [
+                        { next_attempt_at: null },
+                        { next_attempt_at: { [Op.lte]: new Date() } }
+                    ]
+                },
+                order: [['id', 'ASC']]
+            });
+
+            if (!messageData) {
+                const nextRetryAt = await this.getNextRetryTime(campaignId, laneWhere);
+
+                if (!nextRetryAt) {
+                    return 'done';
+                }
+
+                await sleep(Math.min(Math.max(nextRetryAt - Date.now(), 0), RETRY_POLL_INTERVAL));
+                continue;
+            }
+
+            const attempt = messageData.attempt_count + 1;
+
+            // Claim the row before sending so a crash can never resend it
+            const [claimed] = await models.CampaignMessage.update(
+                { status: 'sending', attempt_count: attempt, account_id: accountId },
+                { where: { id: messageData.id, status: 'pending' } }
+            );
+
+            if (claimed === 0) {
+                continue;
+            }
+
+            // Checked after the claim so other campaigns see this row as in flight;
+            // of two rows in flight for the same phone, the older one goes out
+            const skipReason = cap ? await frequencyCap.check(campaign, messageData.phone, cap, messageData.id) : null;
+
+            if (skipReason) {
+                await models.CampaignMessage.update(
+                    { status: 'skipped', attempt_count: messageData.attempt_count, error_message: skipReason, next_attempt_at: null },
+                    { where: { id: messageData.id } }
+                );
+
+                await models.Campaign.increment({ skipped_count: 1 }, { where: { id: campaignId } });
+
+                await campaignEvents.recordResult(campaignId, {
+                    message_id: messageData.id,
+                    contact_id: messageData.contact_id,
+                    phone: messageData.phone,
+                    account_id: accountId,
+                    status: 'skipped',
+                    error: skipReason
+                });
+
+                console.log(`🚫 Message ${messageData.id} skipped: ${skipReason}`);
+                continue;
+            }
+
+            try {
+                const result = await whatsappService.sendMessage(
+                    accountId,
+                    messageData.phone,
+                    messageData.message_text,
+                    messageData.media_path
+                );
+
+                await models.CampaignMessage.update(
+                    {
+                        status: 'sent',
+                        sent_at: new Date(),
+                        error_message: null,
+                        next_attempt_at: null,
+                        // Receipts for this message are matched on its key id
+                        wa_message_id: result?.key?.id || null
+                    },
+                    { where: { id: messageData.id } }
+                );
+
+                // Counters move per message so progress is visible while the campaign runs
+                await models.Campaign.increment({ sent_count: 1 }, { where: { id: campaignId } });
+                consecutiveFailures = 0;
+
+                await campaignEvents.recordResult(campaignId, {
+                    message_id: messageData.id,
+                    contact_id: messageData.contact_id,
+                    phone: messageData.phone,
+                    account_id: accountId,
+                    status: 'sent',
+                    attempt
+                });
+
+                if (context.pooled) {
+                    await campaignPool.recordSend(campaignId, accountId);
+                }
+
+                // Delay between messages
+                await sleep(campaign.delay_seconds * 1000);
+
+            } catch (error) {
+                if (error.code === 'QUOTA_EXCEEDED') {
+                    // Not the recipient's fault: put the row back and wait for the quota to reset
+                    await models.CampaignMessage.update(
+                        { status: 'pending', attempt_count: messageData.attempt_count },
+                        { where: { id: messageData.id } }
+                    );
+
+                    // Another pool account can take over
+                    if (context.pooled) {
+                        console.log(`🔀 Campaign ${campaignId}: account ${accountId} reached its quota`);
+                        return 'account_unavailable';
+                    }
+
+                    await models.Campaign.update(
+                        { waiting_reason: 'waiting_for_quota', waiting_until: error.retryAt },
+                        { where: { id: campaignId } }
+                    );
+
+                    console.log(`⏳ Campaign ${campaignId} deferred until ${error.retryAt.toISOString()}: ${error.message}`);
+                    return 'stopped';
+                }
+
+                console.error(`Failed to send message ${messageData.id}:`, error);
+
+                consecutiveFailures++;
+
+                const isRetrying = this.isTransientError(error) && attempt < campaign.max_attempts;
+
+                if (isRetrying) {
+                    // Exponential backoff: base, 2x base, 4x base, ...
+                    const backoffSeconds = campaign.retry_backoff_seconds * Math.pow(2, attempt - 1);
+
+                    await models.CampaignMessage.update(
+                        {
+                            status: 'pending',
+                            error_message: error.message,
+                            next_attempt_at: new Date(Date.now() + backoffSeconds * 1000)
+                        },
+                        { where: { id: messageData.id } }
+                    );
+
+                    console.log(`🔁 Message ${messageData.id} will be retried in ${backoffSeconds}s (attempt ${attempt}/${campaign.max_attempts})`);
+                } else {
+                    await models.CampaignMessage.update(
+                        { status: 'failed', error_message: error.message, next_attempt_at: null },
+                        { where: { id: messageData.id } }
+                    );
+
+                    await models.Campaign.increment({ failed_count: 1 }, { where: { id: campaignId } });
+                }
+
+                await campaignEvents.recordResult(campaignId, {
+                    message_id: messageData.id,
+                    contact_id: messageData.contact_id,
+                    phone: messageData.phone,
+                    account_id: accountId,
+                    status: isRetrying ? 'retrying' : 'failed',
+                    attempt,
+                    error: error.message
+                });
+
+                // Something is wrong beyond single recipients; stop before the rest fails too
+                if (campaign.max_consecutive_failures > 0 && consecutiveFailures >= campaign.max_consecutive_failures) {
+                    await this.autoPause(campaign, accountId, 'consecutive_failures', `${consecutiveFailures} sends failed in a row`);
+                    console.log(`⏸️ Campaign ${campaignId} paused after ${consecutiveFailures} consecutive failures`);
+                    return 'stopped';
+                }
+            }
+        }
+    }
+
+    // Returns true when held messages were queued; otherwise the campaign
+    // waits until the test results have had time to come in
+    async releaseHeldMessages(campaign) {
+        const held = await models.CampaignMessage.count({
+            where: { campaign_id: campaign.id, status: 'held' }
+        });
+
+        if (held === 0) {
+            return false;
+        }
+
+        const current = await models.Campaign.findByPk(campaign.id);
+        let decisionAt = current.variant_decision_at;
+
+        if (!decisionAt) {
+            decisionAt = new Date(Date.now() + current.variant_test_wait_minutes * 60 * 1000);
+            await current.update({ variant_decision_at: decisionAt });
+        }
+
+        if (decisionAt > new Date()) {
+            await current.update({ waiting_reason: 'waiting_for_winner', waiting_until: decisionAt });
+            console.log(`🧪 Campaign ${campaign.id} test slice sent, picking a winner at ${decisionAt.toISOString()}`);
+            return false;
+        }
+
+        const winner = await campaignVariants.selectWinner(current);
+        const released = await campaignBuilder.releaseHeld(current, winner);
+
+        console.log(`🏆 Campaign ${campaign.id} variant ${winner.label} won, sending it to ${released} remaining recipients`);
+        return true;
+    }
+
+    isTransientError(error) {
+        const message = error?.message || String(error);
+        return TRANSIENT_ERROR_PATTERNS.some(pattern => pattern.test(message));
+    }
+
+    async getNextRetryTime(campaignId, laneWhere = {}) {
+        const nextRetry = await models.CampaignMessage.findOne({
+            where: {
+                campaign_id: campaignId,
+                status: 'pending',
+                ...laneWhere,
+                next_attempt_at: { [Op.ne]: null }
+            },
+            attributes: ['next_attempt_at'],
+            order: [['next_attempt_at', 'ASC']]
+        });
+
+        return nextRetry ? nextRetry.next_attempt_at : null;
+    }
+
+    async completeIfFinished(campaignId) {
+        const remainingCount = await models.CampaignMessage.count({
+            where: {
+                campaign_id: campaignId,
+                status: { [Op.in]: ['pending', 'held', 'sending'] }
+            }
+        });
+
+        if (remainingCount === 0) {
+            await models.Campaign.update(
+                { status: 'completed', completed_at: new Date() },
+                { where: { id: campaignId, status: 'running' } }
+            );
+
+            campaignEvents.clear(campaignId);
+        }
+    }
+}
+
+module.exports = new CampaignRunner();
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const models = require('../models');
+const { Op, fn, col } = require('sequelize');
+
+// Message statuses that count towards each winner metric
+const WINNER_METRICS = {
+    sent: ['sent', 'delivered', 'read', 'undelivered'],
+    delivered: ['delivered', 'read'],
+    read: ['read']
+};
+
+const DEFAULT_LABELS = 'ABCDEFGHIJ'.split('');
+
+// Stable number in [0, 1) for a key, so the same recipient always lands in the same bucket
+function hashFraction(key) {
+    const hash = crypto.createHash('md5').update(key).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+}
+
+class CampaignVariants {
+    // Validates [{ template_id, split_percent, label }] and fills in default labels
+    normalize(variants) {
+        if (!Array.isArray(variants) || variants.length < 2) {
+            throw new Error('variants must list at least two templates');
+        }
+
+        if (variants.length > DEFAULT_LABELS.length) {
+            throw new Error(`At most ${DEFAULT_LABELS.length} variants are supported`);
+        }
+
+        const normalized = variants.map((variant, i) => ({
+            template_id: parseInt(variant.template_id),
+            split_percent: parseInt(variant.split_percent),
+            label: variant.label ? String(variant.label).trim().slice(0, 20) : DEFAULT_LABELS[i]
+        }));
+
+        if (normalized.some(v => !Number.isInteger(v.template_id))) {
+            throw new Error('Every variant needs a template_id');
+        }
+
+        if (normalized.some(v => !Number.isInteger(v.split_percent) || v.split_percent < 1)) {
+            throw new Error('Every variant needs a split_percent of at least 1');
+        }
+
+        if (normalized.reduce((sum, v) => sum + v.split_percent, 0) !== 100) {
+            throw new Error('Variant split_percent values must add up to 100');
+        }
+
+        if (new Set(normalized.map(v => v.label)).size !== normalized.length) {
+            throw new Error('Variant labels must be unique');
+        }
+
+        return normalized;
+    }
+
+    // Returns an error message for invalid test-then-winner settings, otherwise null
+    validateTest({ variant_test_percent, variant_test_wait_minutes, variant_winner_metric }) {
+        if (variant_test_percent !== undefined && variant_test_percent !== null) {
+            const percent = parseInt(variant_test_percent);
+            if (!Number.isInteger(percent) || percent < 1 || percent > 99) {
+                return 'variant_test_percent must be between 1 and 99';
+            }
+        }
+
+        if (variant_test_wait_minutes !== undefined && variant_test_wait_minutes !== null) {
+            const minutes = parseInt(variant_test_wait_minutes);
+            if (!Number.isInteger(minutes) || minutes < 0) {
+                return 'variant_test_wait_minutes must be a non-negative number';
+            }
+        }
+
+        if (variant_winner_metric && !WINNER_METRICS[variant_winner_metric]) {
+            return `variant_winner_metric must be one of: ${Object.keys(WINNER_METRICS).join(', ')}`;
+        }
+
+        return null;
+    }
+
+    async loadVariants(campaignId, transaction) {
+        return models.CampaignVariant.findAll({
+            where: { campaign_id: campaignId },
+            include: [{ model: models.MessageTemplate, as: 'template' }],
+            order: [['id', 'ASC']],
+            transaction
+        });
+    }
+
+    // Picks the variant for a recipient, or `held` when it is outside the test slice
+    // and no winner has been chosen yet
+    assign(campaign, phone, variants) {
+        if (campaign.winner_variant_id) {
+            return { variant: variants.find(v => v.id === campaign.winner_variant_id), held: false };
+        }
+
+        if (campaign.variant_test_percent && hashFraction(`${campaign.id}:test:${phone}`) * 100 >= campaign.variant_test_percent) {
+            return { variant: null, held: true };
+        }
+
+        const bucket = hashFraction(`${campaign.id}:variant:${phone}`) * 100;
+        let cumulative = 0;
+
+        for (const variant of variants) {
+            cumulative += variant.split_percent;
+            if (bucket < cumulative) {
+                return { variant, held: false };
+            }
+        }
+
+        return { variant: variants[variants.length - 1], held: false };
+    }
+
+    // Per-variant counts; delivered includes read and sent includes both.
+    // replied counts messages the contact answered (replied_at).
+    async getStats(campaignId) {
+        const variants = await this.loadVariants(campaignId);
+
+        if (variants.length === 0) {
+            return [];
+        }
+
+        const rows = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaignId, variant_id: { [Op.ne]: null } },
+            attributes: ['variant_id', 'status', [fn('COUNT', col('*')), 'count'], [fn('COUNT', col('replied_at')), 'replied']],
+            group: ['variant_id', 'status'],
+            raw: true
+        });
+
+        const campaign = await models.Campaign.findByPk(campaignId, { attributes: ['winner_variant_id'] });
+
+        return variants.map(variant => {
+            const counts = {};
+            let replied = 0;
+            rows.filter(row => row.variant_id === variant.id)
+                .forEach(row => {
+                    counts[row.status] = parseInt(row.count);
+                    replied += parseInt(row.replied);
+                });
+
+            const count = (statuses) => statuses.reduce((sum, status) => sum + (counts[status] || 0), 0);
+            const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+            const sent = count(WINNER_METRICS.sent);
+
+            return {
+                id: variant.id,
+                label: variant.label,
+                template_id: variant.template_id,
+                template_name: variant.template?.name,
+                split_percent: variant.split_percent,
+                is_winner: campaign?.winner_variant_id === variant.id,
+                stats: {
+                    total,
+                    pending: count(['pending', 'sending']),
+                    sent,
+                    delivered: count(WINNER_METRICS.delivered),
+                    read: count(WINNER_METRICS.read),
+                    replied,
+                    failed: counts.failed || 0
+                },
+                read_rate: sent > 0 ? Math.round(count(WINNER_METRICS.read) / sent * 1000) / 10 : null
+            };
+        });
+    }
+
+    // Compares the variants on the test slice; ties go to the earlier variant
+    async selectWinner(campaign) {
+        const variants = await this.loadVariants(campaign.id);
+        const statuses = WINNER_METRICS[campaign.variant_winner_metric] || WINNER_METRICS.read;
+
+        const rows = await models.CampaignMessage.findAll({
+            where: { campaign_id: campaign.id, variant_id: { [Op.ne]: null } },
+            attributes: ['variant_id', 'status', [fn('COUNT', col('*')), 'count']],
+            group: ['variant_id', 'status'],
+            raw: true
+        });
+
+        let winner = null;
+        let bestRate = -1;
+        const rates = [];
+
+        for (const variant of variants) {
+            const variantRows = rows.filter(row => row.variant_id === variant.id);
+            const total = variantRows.reduce((sum, row) => sum + parseInt(row.count), 0);
+            const hits = variantRows
+                .filter(row => statuses.includes(row.status))
+                .reduce((sum, row) => sum + parseInt(row.count), 0);
+            const rate = total > 0 ? hits / total : 0;
+
+            rates.push(`${variant.label} ${Math.round(rate * 1000) / 10}%`);
+
+            if (rate > bestRate) {
+                bestRate = rate;
+                winner = variant;
+            }
+        }
+
+        await models.Campaign.update(
+            { winner_variant_id: winner.id },
+            { where: { id: campaign.id } }
+        );
+
+        await models.ActivityLog.create({
+            account_id: campaign.account_id,
+            action: 'ab_test_winner_selected',
+            description: `Campaign "${campaign.name}" picked variant ${winner.label} by ${campaign.variant_winner_metric} rate (${rates.join(', ')})`
+        });
+
+        return winner;
+    }
+}
+
+module.exports = new CampaignVariants();
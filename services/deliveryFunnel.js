@@ -0,0 +1,253 @@
+const models = require('../models');
+const { Op, fn, col, literal } = require('sequelize');
+
+const STAGES = ['targeted', 'sent', 'delivered', 'read', 'replied'];
+
+// YYYY-MM-DD in server time: the day a message was sent, or queued while unsent
+const DAY = literal("date(COALESCE(sent_at, created_at), 'localtime')");
+
+// Median of a histogram of whole seconds (seconds -> number of messages)
+function median(histogram) {
+    const total = [...histogram.values()].reduce((sum, count) => sum + count, 0);
+
+    if (total === 0) {
+        return null;
+    }
+
+    // Positions of the middle value, or the two middle values of an even count
+    const wanted = [Math.floor((total - 1) / 2), Math.floor(total / 2)];
+    const found = [];
+    let seen = 0;
+
+    for (const seconds of [...histogram.keys()].sort((a, b) => a - b)) {
+        seen += histogram.get(seconds);
+        while (found.length < 2 && wanted[found.length] < seen) {
+            found.push(seconds);
+        }
+        if (found.length === 2) {
+            break;
+        }
+    }
+
+    return Math.round((found[0] + found[1]) / 2);
+}
+
+function emptyBucket() {
+    return {
+        targeted: 0,
+        sent: 0,
+        delivered: 0,
+        read: 0,
+        replied: 0,
+        deliverSeconds: new Map(),
+        readSeconds: new Map()
+    };
+}
+
+function addCount(histogram, seconds, count) {
+    histogram.set(seconds, (histogram.get(seconds) || 0) + count);
+}
+
+class DeliveryFunnel {
+    // Checks ?from=&to=&campaign_id=&account_id=; returns an error message or null
+    validateFilters({ from, to, campaign_id, account_id }) {
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime()))) {
+                return `${name} must be a date (YYYY-MM-DD)`;
+            }
+        }
+
+        if (from && to && from > to) {
+            return 'from must not be after to';
+        }
+
+        for (const [name, value] of Object.entries({ campaign_id, account_id })) {
+            if (value && !/^\d+$/.test(String(value))) {
+                return `${name} must be a number`;
+            }
+        }
+
+        return null;
+    }
+
+    // A message belongs to the day it was sent, or the day it was queued while
+    // unsent. Unclaimed rows have no account yet and go by their campaign's.
+    buildWhere({ from, to, campaign_id, account_id }) {
+        const conditions = [];
+
+        if (campaign_id) {
+            conditions.push({ campaign_id: parseInt(campaign_id) });
+        }
+
+        if (account_id) {
+            const accountId = parseInt(account_id);
+            conditions.push({
+                [Op.or]: [
+                    { account_id: accountId },
+                    {
+                        account_id: null,
+                        campaign_id: { [Op.in]: literal(`(SELECT id FROM campaigns WHERE account_id = ${accountId})`) }
+                    }
+                ]
+            });
+        }
+
+        if (from || to) {
+            const range = {};
+            if (from) {
+                range[Op.gte] = new Date(`${from}T00:00:00`);
+            }
+            if (to) {
+                range[Op.lte] = new Date(`${to}T23:59:59.999`);
+            }
+
+            conditions.push({
+                [Op.or]: [
+                    { sent_at: range },
+                    { sent_at: null, created_at: range }
+                ]
+            });
+        }
+
+        return { [Op.and]: conditions };
+    }
+
+    // Each stage counts the messages that reached at least that far; medians are
+    // measured from sent_at. Counts and durations are grouped in SQL by campaign,
+    // account and day, so only the groups (and, for the medians, the distinct
+    // whole-second durations per group) are loaded.
+    async getFunnel(filters = {}) {
+        const where = this.buildWhere(filters);
+        const groupBy = ['campaign_id', 'account_id', DAY];
+
+        const groups = await models.CampaignMessage.findAll({
+            where,
+            attributes: [
+                'campaign_id',
+                'account_id',
+                [DAY, 'day'],
+                [fn('COUNT', col('*')), 'targeted'],
+                [fn('COUNT', col('sent_at')), 'sent'],
+                [fn('COUNT', col('delivered_at')), 'delivered'],
+                [fn('COUNT', col('read_at')), 'read'],
+                [fn('COUNT', col('replied_at')), 'replied']
+            ],
+            group: groupBy,
+            raw: true
+        });
+
+        const [deliverDurations, readDurations] = await Promise.all(
+            ['delivered_at', 'read_at'].map(column => this.getDurations(where, groupBy, column))
+        );
+
+        // Unclaimed rows have no account yet and go by their campaign's
+        const campaigns = await models.Campaign.findAll({
+            where: { id: { [Op.in]: [...new Set(groups.map(group => group.campaign_id))] } },
+            attributes: ['id', 'name', 'account_id']
+        });
+        const campaignsById = new Map(campaigns.map(c => [c.id, c]));
+
+        const totals = emptyBucket();
+        const byCampaign = new Map();
+        const byAccount = new Map();
+        const byDay = new Map();
+
+        const bucketsFor = (row) => {
+            const accountId = row.account_id ?? campaignsById.get(row.campaign_id)?.account_id ?? null;
+            const bucket = (map, key) => {
+                if (!map.has(key)) {
+                    map.set(key, emptyBucket());
+                }
+                return map.get(key);
+            };
+
+            return [totals, bucket(byCampaign, row.campaign_id), bucket(byAccount, accountId), bucket(byDay, row.day)];
+        };
+
+        groups.forEach(group => {
+            for (const b of bucketsFor(group)) {
+                STAGES.forEach(stage => {
+                    b[stage] += parseInt(group[stage]);
+                });
+            }
+        });
+
+        deliverDurations.forEach(row => {
+            bucketsFor(row).forEach(b => addCount(b.deliverSeconds, row.seconds, parseInt(row.count)));
+        });
+
+        readDurations.forEach(row => {
+            bucketsFor(row).forEach(b => addCount(b.readSeconds, row.seconds, parseInt(row.count)));
+        });
+
+        const accounts = await models.Account.findAll({
+            where: { id: { [Op.in]: [...byAccount.keys()].filter(id => id !== null) } },
+            attributes: ['id', 'name']
+        });
+        const accountNames = new Map(accounts.map(a => [a.id, a.name]));
+
+        return {
+            filters: {
+                from: filters.from || null,
+                to: filters.to || null,
+                campaign_id: filters.campaign_id ? parseInt(filters.campaign_id) : null,
+                account_id: filters.account_id ? parseInt(filters.account_id) : null
+            },
+            totals: this.summarize(totals),
+            by_campaign: [...byCampaign.entries()]
+                .map(([id, b]) => ({ campaign_id: id, campaign_name: campaignsById.get(id)?.name || null, ...this.summarize(b) }))
+                .sort((a, b) => b.campaign_id - a.campaign_id),
+            by_account: [...byAccount.entries()]
+                .map(([id, b]) => ({ account_id: id, account_name: accountNames.get(id) || null, ...this.summarize(b) }))
+                .sort((a, b) => b.targeted - a.targeted),
+            by_day: [...byDay.entries()]
+                .map(([day, b]) => ({ day, ...this.summarize(b) }))
+                .sort((a, b) => a.day.localeCompare(b.day))
+        };
+    }
+
+    // Messages per group and whole seconds from sent_at to `column`
+    async getDurations(where, groupBy, column) {
+        const seconds = literal(`CAST(ROUND((julianday(${column}) - julianday(sent_at)) * 86400) AS INTEGER)`);
+
+        return models.CampaignMessage.findAll({
+            where: {
+                [Op.and]: [
+                    where,
+                    { sent_at: { [Op.ne]: null }, [column]: { [Op.ne]: null } },
+                    literal(`julianday(${column}) >= julianday(sent_at)`)
+                ]
+            },
+            attributes: [
+                'campaign_id',
+                'account_id',
+                [DAY, 'day'],
+                [seconds, 'seconds'],
+                [fn('COUNT', col('*')), 'count']
+            ],
+            group: [...groupBy, seconds],
+            raw: true
+        });
+    }
+
+    // Stage counts, each stage as a percent of targeted, and the medians
+    summarize(b) {
+        const percent = {};
+        STAGES.slice(1).forEach(stage => {
+            percent[stage] = b.targeted > 0 ? Math.round(b[stage] / b.targeted * 1000) / 10 : 0;
+        });
+
+        return {
+            targeted: b.targeted,
+            sent: b.sent,
+            delivered: b.delivered,
+            read: b.read,
+            replied: b.replied,
+            percent,
+            median_seconds_to_deliver: median(b.deliverSeconds),
+            median_seconds_to_read: median(b.readSeconds)
+        };
+    }
+}
+
+module.exports = new DeliveryFunnel();
@@ -0,0 +1,384 @@
+const models = require('../models');
+const campaignBuilder = require('./campaignBuilder');
+const campaignRunner = require('./campaignRunner');
+const campaignApproval = require('./campaignApproval');
+const { Op, fn, col, literal } = require('sequelize');
+
+const CONDITIONS = ['always', 'replied', 'not_replied', 'read', 'not_read'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Replies that end every enrollment of the contact and deactivate it
+const DEFAULT_OPT_OUT_KEYWORDS = 'STOP,BERHENTI,UNSUBSCRIBE';
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+class DripSequences {
+    // Validates [{ template_id, delay_days, condition }] and numbers the steps
+    normalizeSteps(steps) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('steps must list at least one step');
+        }
+
+        const normalized = steps.map((step, i) => ({
+            position: i + 1,
+            template_id: parseInt(step.template_id),
+            delay_days: step.delay_days === undefined || step.delay_days === null || step.delay_days === ''
+                ? (i === 0 ? 0 : 1)
+                : parseInt(step.delay_days),
+            condition: step.condition || 'always'
+        }));
+
+        if (normalized.some(s => !Number.isInteger(s.template_id))) {
+            throw new Error('Every step needs a template_id');
+        }
+
+        if (normalized.some(s => !Number.isInteger(s.delay_days) || s.delay_days < 0)) {
+            throw new Error('delay_days must be a non-negative number');
+        }
+
+        if (normalized.some(s => !CONDITIONS.includes(s.condition))) {
+            throw new Error(`condition must be one of: ${CONDITIONS.join(', ')}`);
+        }
+
+        if (normalized[0].condition !== 'always') {
+            throw new Error('The first step has no earlier step to check, so its condition must be "always"');
+        }
+
+        return normalized;
+    }
+
+    // OPT_OUT_KEYWORDS=STOP,BERHENTI
+    isOptOut(text) {
+        const keywords = (process.env.OPT_OUT_KEYWORDS || DEFAULT_OPT_OUT_KEYWORDS)
+            .split(',')
+            .map(keyword => keyword.trim().toUpperCase())
+            .filter(Boolean);
+
+        return keywords.includes(String(text || '').trim().toUpperCase());
+    }
+
+    async getSteps(sequenceId) {
+        return models.SequenceStep.findAll({
+            where: { sequence_id: sequenceId },
+            order: [['position', 'ASC']]
+        });
+    }
+
+    // Enrolls active contacts that were never in the sequence before; contacts
+    // that completed or left it are not enrolled again
+    async enroll(sequence, contactIds) {
+        const [firstStep] = await this.getSteps(sequence.id);
+
+        const existing = await models.SequenceEnrollment.findAll({
+            where: { sequence_id: sequence.id, contact_id: { [Op.in]: contactIds } },
+            attributes: ['contact_id']
+        });
+        const enrolled = new Set(existing.map(e => e.contact_id));
+
+        const contacts = await models.Contact.findAll({
+            where: { id: { [Op.in]: contactIds.filter(id => !enrolled.has(id)) }, is_active: true },
+            attributes: ['id']
+        });
+
+        await models.SequenceEnrollment.bulkCreate(contacts.map(contact => ({
+            sequence_id: sequence.id,
+            contact_id: contact.id,
+            next_step_at: daysFromNow(firstStep.delay_days)
+        })));
+
+        return {
+            enrolled: contacts.length,
+            already_enrolled: enrolled.size,
+            skipped_inactive: contactIds.length - enrolled.size - contacts.length
+        };
+    }
+
+    async enrollGroup(sequence, groupName = sequence.group_name) {
+        const contacts = await models.Contact.findAll({
+            where: {
+                group_name: groupName,
+                is_active: true,
+                id: { [Op.notIn]: literal(`(SELECT contact_id FROM sequence_enrollments WHERE sequence_id = ${parseInt(sequence.id)})`) }
+            },
+            attributes: ['id']
+        });
+
+        if (contacts.length === 0) {
+            return { enrolled: 0, already_enrolled: 0, skipped_inactive: 0 };
+        }
+
+        return this.enroll(sequence, contacts.map(c => c.id));
+    }
+
+    // Ends active enrollments; returns how many
+    async exit(where, reason) {
+        const [count] = await models.SequenceEnrollment.update(
+            { status: 'exited', exit_reason: reason, next_step_at: null, ended_at: new Date() },
+            { where: { ...where, status: 'active' } }
+        );
+
+        return count;
+    }
+
+    // Called by the scheduler: enrolls new group members, then sends or skips
+    // every step that fell due
+    async dispatchDueSteps() {
+        const sequences = await models.Sequence.findAll({ where: { status: 'active' } });
+
+        for (const sequence of sequences) {
+            try {
+                if (sequence.group_name) {
+                    await this.enrollGroup(sequence);
+                }
+
+                await this.dispatchSequence(sequence);
+            } catch (error) {
+                console.error(`❌ Sequence ${sequence.id} failed to dispatch:`, error);
+            }
+        }
+    }
+
+    async dispatchSequence(sequence) {
+        const due = await models.SequenceEnrollment.findAll({
+            where: {
+                sequence_id: sequence.id,
+                status: 'active',
+                next_step_at: { [Op.lte]: new Date() }
+            },
+            include: [
+                { model: models.Contact, as: 'contact', attributes: ['id', 'is_active'] },
+                { model: models.CampaignMessage, as: 'last_message', attributes: ['status'] }
+            ]
+        });
+
+        if (due.length === 0) {
+            return;
+        }
+
+        const steps = await this.getSteps(sequence.id);
+        const toSend = new Map();
+
+        for (const enrollment of due) {
+            // Deactivated contacts have opted out
+            if (!enrollment.contact?.is_active) {
+                await this.exit({ id: enrollment.id }, 'opted_out');
+                continue;
+            }
+
+            const step = steps.find(s => s.position > enrollment.current_step);
+
+            if (!step) {
+                await enrollment.update({ status: 'completed', next_step_at: null, ended_at: new Date() });
+                continue;
+            }
+
+            if (!this.conditionHolds(step.condition, enrollment)) {
+                await step.increment('skipped_count');
+                await this.advance(enrollment, step, steps, null);
+                continue;
+            }
+
+            if (!toSend.has(step.id)) {
+                toSend.set(step.id, { step, enrollments: [] });
+            }
+            toSend.get(step.id).enrollments.push(enrollment);
+        }
+
+        for (const { step, enrollments } of toSend.values()) {
+            await this.sendStep(sequence, step, steps, enrollments);
+        }
+    }
+
+    // Checked against the step the contact got before this one
+    conditionHolds(condition, enrollment) {
+        const replied = !!enrollment.replied_at && (!enrollment.last_step_at || enrollment.replied_at > enrollment.last_step_at);
+        const read = enrollment.last_message?.status === 'read';
+
+        switch (condition) {
+            case 'replied': return replied;
+            case 'not_replied': return !replied;
+            case 'read': return read;
+            case 'not_read': return !read;
+            default: return true;
+        }
+    }
+
+    // Moves the enrollment past `step`, which was sent as messageId or skipped
+    async advance(enrollment, step, steps, messageId, transaction) {
+        const nextStep = steps.find(s => s.position > step.position);
+        const now = new Date();
+
+        await enrollment.update({
+            current_step: step.position,
+            last_step_at: now,
+            last_message_id: messageId ?? enrollment.last_message_id,
+            next_step_at: nextStep ? daysFromNow(nextStep.delay_days) : null,
+            status: nextStep ? 'active' : 'completed',
+            ended_at: nextStep ? null : now
+        }, { transaction });
+    }
+
+    // One campaign per step and dispatch, so the step goes through the normal
+    // send pipeline (quotas, send window, frequency cap, retries)
+    async sendStep(sequence, step, steps, enrollments) {
+        const template = await models.MessageTemplate.findByPk(step.template_id);
+
+        if (!template) {
+            console.error(`❌ Sequence ${sequence.id} step ${step.position}: template ${step.template_id} not found`);
+            return;
+        }
+
+        const contactIds = enrollments.map(e => e.contact_id);
+        const needsApproval = campaignApproval.requiresApproval(contactIds.length);
+
+        const campaign = await models.sequelize.transaction(async (t) => {
+            const created = await campaignBuilder.createCampaign({
+                name: `${sequence.name} - step ${step.position}`,
+                account_id: sequence.account_id,
+                sequence_step_id: step.id,
+                delay_seconds: sequence.delay_seconds,
+                ...(needsApproval
+                    ? { status: 'pending_approval', approval_status: 'pending', scheduled_at: new Date() }
+                    : { status: 'running', started_at: new Date() })
+            }, template, contactIds, t);
+
+            const messages = await models.CampaignMessage.findAll({
+                where: { campaign_id: created.id },
+                attributes: ['id', 'contact_id'],
+                transaction: t
+            });
+            const messageIds = new Map(messages.map(m => [m.contact_id, m.id]));
+
+            for (const enrollment of enrollments) {
+                await this.advance(enrollment, step, steps, messageIds.get(enrollment.contact_id), t);
+            }
+
+            return created;
+        });
+
+        console.log(`💧 Sequence ${sequence.id} step ${step.position} queued for ${contactIds.length} contacts (campaign ${campaign.id})`);
+
+        if (needsApproval) {
+            await campaignApproval.logSubmitted(campaign);
+            return;
+        }
+
+        campaignRunner.start(campaign.id);
+    }
+
+    // Called for every message a contact sends to one of our accounts. An
+    // opt-out ends every sequence; a reply only counts for the sequences run
+    // by the account it was sent to.
+    async onInboundMessage(accountId, phone, text) {
+        const contacts = await models.Contact.findAll({ where: { phone }, attributes: ['id', 'name'] });
+
+        if (contacts.length === 0) {
+            return;
+        }
+
+        const contactIds = contacts.map(c => c.id);
+
+        if (this.isOptOut(text)) {
+            await models.Contact.update({ is_active: false }, { where: { id: { [Op.in]: contactIds } } });
+            const exited = await this.exit({ contact_id: { [Op.in]: contactIds } }, 'opted_out');
+
+            await models.ActivityLog.create({
+                action: 'contact_opted_out',
+                description: `${contacts[0].name} (${phone}) opted out${exited > 0 ? ` and left ${exited} sequence${exited === 1 ? '' : 's'}` : ''}`
+            });
+            return;
+        }
+
+        const account = parseInt(accountId);
+
+        await models.SequenceEnrollment.update(
+            { replied_at: new Date() },
+            {
+                where: {
+                    contact_id: { [Op.in]: contactIds },
+                    status: 'active',
+                    sequence_id: { [Op.in]: literal(`(SELECT id FROM sequences WHERE account_id = ${account})`) }
+                }
+            }
+        );
+
+        await this.exit({
+            contact_id: { [Op.in]: contactIds },
+            sequence_id: { [Op.in]: literal(`(SELECT id FROM sequences WHERE exit_on_reply = 1 AND account_id = ${account})`) }
+        }, 'replied');
+    }
+
+    // Per step: message outcomes of its campaigns, contacts that skipped it
+    // and contacts that replied while it was their latest step
+    async getStepStats(sequenceId) {
+        const steps = await models.SequenceStep.findAll({
+            where: { sequence_id: sequenceId },
+            include: [{ model: models.MessageTemplate, as: 'template', attributes: ['name'] }],
+            order: [['position', 'ASC']]
+        });
+
+        const result = [];
+
+        for (const step of steps) {
+            const rows = await models.CampaignMessage.findAll({
+                where: {
+                    campaign_id: { [Op.in]: literal(`(SELECT id FROM campaigns WHERE sequence_step_id = ${parseInt(step.id)})`) }
+                },
+                attributes: ['status', [fn('COUNT', col('*')), 'count']],
+                group: ['status'],
+                raw: true
+            });
+
+            const counts = {};
+            rows.forEach(row => { counts[row.status] = parseInt(row.count); });
+
+            const replied = await models.SequenceEnrollment.count({
+                where: {
+                    sequence_id: sequenceId,
+                    current_step: step.position,
+                    last_message_id: { [Op.ne]: null },
+                    replied_at: { [Op.gt]: col('last_step_at') }
+                }
+            });
+
+            result.push({
+                id: step.id,
+                position: step.position,
+                template_id: step.template_id,
+                template_name: step.template?.name,
+                delay_days: step.delay_days,
+                condition: step.condition,
+                stats: {
+                    queued: Object.values(counts).reduce((sum, n) => sum + n, 0),
+                    pending: (counts.pending || 0) + (counts.sending || 0),
+                    sent: (counts.sent || 0) + (counts.delivered || 0) + (counts.read || 0) + (counts.undelivered || 0),
+                    delivered: (counts.delivered || 0) + (counts.read || 0),
+                    read: counts.read || 0,
+                    undelivered: counts.undelivered || 0,
+                    failed: counts.failed || 0,
+                    skipped_by_cap: counts.skipped || 0,
+                    skipped_by_condition: step.skipped_count,
+                    replied
+                }
+            });
+        }
+
+        return result;
+    }
+
+    async getEnrollmentCounts(sequenceId) {
+        const rows = await models.SequenceEnrollment.findAll({
+            where: { sequence_id: sequenceId },
+            attributes: ['status', [fn('COUNT', col('*')), 'count']],
+            group: ['status'],
+            raw: true
+        });
+
+        const counts = { active: 0, completed: 0, exited: 0 };
+        rows.forEach(row => { counts[row.status] = parseInt(row.count); });
+        return counts;
+    }
+}
+
+module.exports = new DripSequences();
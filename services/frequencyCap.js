@@ -0,0 +1,118 @@
+const models = require('../models');
+const { Op, fn, col, literal } = require('sequelize');
+
+// Phones looked up per query, to keep the IN (...) lists short
+const PHONE_CHUNK_SIZE = 500;
+
+// Statuses of a message that reached the recipient, or is about to
+const COUNTED_STATUSES = ['sending', 'sent', 'delivered', 'read', 'undelivered'];
+
+class FrequencyCap {
+    // Global default from the environment, used by campaigns without their own cap:
+    // FREQUENCY_CAP_MAX=1 FREQUENCY_CAP_HOURS=72
+    getDefaultCap() {
+        const max = parseInt(process.env.FREQUENCY_CAP_MAX);
+        const hours = parseInt(process.env.FREQUENCY_CAP_HOURS);
+
+        if (!(max > 0) || !(hours > 0)) {
+            return null;
+        }
+
+        return { max, hours };
+    }
+
+    // Returns an error message for invalid cap settings, otherwise null
+    validate({ max, hours }) {
+        const parsedMax = parseInt(max);
+
+        if (!Number.isInteger(parsedMax) || parsedMax < 0) {
+            return 'frequency_cap_max must be a non-negative number';
+        }
+
+        if (parsedMax > 0) {
+            const parsedHours = parseInt(hours);
+
+            if (!Number.isInteger(parsedHours) || parsedHours < 1) {
+                return 'frequency_cap_hours must be a positive number';
+            }
+        }
+
+        return null;
+    }
+
+    // The campaign's own cap, else the global default; a cap of 0 exempts the campaign
+    resolveForCampaign(campaign) {
+        if (campaign.frequency_cap_max === 0) {
+            return null;
+        }
+
+        if (campaign.frequency_cap_max > 0 && campaign.frequency_cap_hours > 0) {
+            return { max: campaign.frequency_cap_max, hours: campaign.frequency_cap_hours };
+        }
+
+        return this.getDefaultCap();
+    }
+
+    // Messages each phone got from other campaigns inside the cap window. Campaigns
+    // exempted from the cap (e.g. transactional ones) and other steps of the same
+    // drip sequence do not count either. With
+    // `messageId`, only rows claimed before it count while still in flight, so two
+    // campaigns claiming the same phone at once do not both skip it.
+    async getRecentCounts(campaignId, phones, cap, messageId = null) {
+        const since = new Date(Date.now() - cap.hours * 60 * 60 * 1000);
+        const counts = new Map();
+
+        // The steps of a drip sequence are spaced by the sequence itself, so a
+        // step does not count against the other steps of its sequence
+        const sameSequenceCampaigns = literal(`(
+            SELECT c.id FROM campaigns c
+            JOIN sequence_steps s ON s.id = c.sequence_step_id
+            WHERE s.sequence_id = (
+                SELECT s2.sequence_id FROM campaigns c2
+                JOIN sequence_steps s2 ON s2.id = c2.sequence_step_id
+                WHERE c2.id = ${parseInt(campaignId)}
+            )
+        )`);
+        const uniquePhones = [...new Set(phones)];
+
+        for (let i = 0; i < uniquePhones.length; i += PHONE_CHUNK_SIZE) {
+            const rows = await models.CampaignMessage.findAll({
+                where: {
+                    phone: { [Op.in]: uniquePhones.slice(i, i + PHONE_CHUNK_SIZE) },
+                    [Op.and]: [
+                        { campaign_id: { [Op.ne]: campaignId } },
+                        { campaign_id: { [Op.notIn]: literal('(SELECT id FROM campaigns WHERE frequency_cap_max = 0)') } },
+                        { campaign_id: { [Op.notIn]: sameSequenceCampaigns } }
+                    ],
+                    status: { [Op.in]: COUNTED_STATUSES },
+                    // Rows still being sent have no sent_at yet
+                    [Op.or]: [
+                        messageId ? { status: 'sending', id: { [Op.lt]: messageId } } : { status: 'sending' },
+                        { sent_at: { [Op.gte]: since } }
+                    ]
+                },
+                attributes: ['phone', [fn('COUNT', col('*')), 'count']],
+                group: ['phone'],
+                raw: true
+            });
+
+            rows.forEach(row => counts.set(row.phone, parseInt(row.count)));
+        }
+
+        return counts;
+    }
+
+    // The skip reason when the phone already reached the cap, otherwise null
+    async check(campaign, phone, cap, messageId) {
+        const counts = await this.getRecentCounts(campaign.id, [phone], cap, messageId);
+        const recent = counts.get(phone) || 0;
+
+        if (recent < cap.max) {
+            return null;
+        }
+
+        return `Frequency cap: ${recent} message${recent === 1 ? '' : 's'} from other campaigns in the last ${cap.hours} hours (max ${cap.max})`;
+    }
+}
+
+module.exports = new FrequencyCap();
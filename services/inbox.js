@@ -0,0 +1,242 @@
+const models = require('../models');
+const { Op, literal } = require('sequelize');
+
+// Shown in the conversation list for messages without text
+const MEDIA_PREVIEWS = {
+    image: '[Gambar]',
+    video: '[Video]',
+    audio: '[Audio]',
+    document: '[Dokumen]',
+    sticker: '[Stiker]',
+    location: '[Lokasi]',
+    contact: '[Kontak]'
+};
+
+class Inbox {
+    preview(text, mediaType) {
+        const preview = text || MEDIA_PREVIEWS[mediaType] || '';
+        return preview.length > 200 ? `${preview.slice(0, 197)}...` : preview;
+    }
+
+    // One conversation per account and phone; two messages arriving at once
+    // may both try to create it
+    async getConversation(accountId, phone, contactId) {
+        const existing = await models.Conversation.findOne({ where: { account_id: accountId, phone } });
+
+        if (existing) {
+            return existing;
+        }
+
+        try {
+            return await models.Conversation.create({ account_id: accountId, phone, contact_id: contactId });
+        } catch (error) {
+            if (error.name !== 'SequelizeUniqueConstraintError') {
+                throw error;
+            }
+
+            return models.Conversation.findOne({ where: { account_id: accountId, phone } });
+        }
+    }
+
+    // Stores a message a contact sent to the account; returns null when it
+    // was stored before (WhatsApp may deliver a message more than once)
+    async recordInbound(accountId, { phone, waMessageId, senderName, text, mediaType, quotedMessageId, receivedAt }) {
+        if (waMessageId) {
+            const duplicate = await models.InboundMessage.findOne({
+                where: { account_id: accountId, wa_message_id: waMessageId },
+                attributes: ['id']
+            });
+
+            if (duplicate) {
+                return null;
+            }
+        }
+
+        const contact = await models.Contact.findOne({ where: { phone }, attributes: ['id'] });
+        const conversation = await this.getConversation(accountId, phone, contact?.id || null);
+
+        let message;
+        try {
+            message = await models.InboundMessage.create({
+                conversation_id: conversation.id,
+                account_id: accountId,
+                phone,
+                contact_id: contact?.id || null,
+                wa_message_id: waMessageId || null,
+                text: text || null,
+                media_type: mediaType || null,
+                quoted_message_id: quotedMessageId || null,
+                received_at: receivedAt
+            });
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return null;
+            }
+            throw error;
+        }
+
+        const updateData = {
+            unread_count: literal('unread_count + 1'),
+            contact_id: contact?.id || conversation.contact_id
+        };
+
+        if (senderName) {
+            updateData.sender_name = senderName;
+        }
+
+        // Messages can arrive out of order after a reconnect
+        if (!conversation.last_message_at || receivedAt >= conversation.last_message_at) {
+            updateData.last_message_at = receivedAt;
+            updateData.last_message_preview = this.preview(text, mediaType);
+        }
+
+        await models.Conversation.update(updateData, { where: { id: conversation.id } });
+
+        return message;
+    }
+
+    // image/png -> image; anything that is not image, video or audio goes as a document
+    mediaTypeFromMime(mimeType) {
+        const kind = String(mimeType || '').split('/')[0];
+        return ['image', 'video', 'audio'].includes(kind) ? kind : 'document';
+    }
+
+    // Records a single send so it shows in the conversation thread
+    async recordDirectMessage(accountId, phone, { text, mediaFile, waMessageId }) {
+        const message = await models.DirectMessage.create({
+            account_id: accountId,
+            phone,
+            message_text: text || null,
+            media_type: mediaFile ? this.mediaTypeFromMime(mediaFile.mimetype) : null,
+            media_original_name: mediaFile?.originalname || null,
+            wa_message_id: waMessageId || null
+        });
+
+        // Only numbers that wrote to us have a conversation
+        await models.Conversation.update(
+            {
+                last_message_at: message.created_at,
+                last_message_preview: this.preview(message.message_text, message.media_type)
+            },
+            {
+                where: {
+                    account_id: accountId,
+                    phone,
+                    [Op.or]: [
+                        { last_message_at: null },
+                        { last_message_at: { [Op.lte]: message.created_at } }
+                    ]
+                }
+            }
+        );
+
+        return message;
+    }
+
+    // Inbound and outbound messages of the conversation, oldest first, that were
+    // sent before `before` (the latest ones without it). Each source is read up
+    // to `limit` rows back, so the merged page is complete.
+    async getThread(conversation, { before = null, limit = 50 } = {}) {
+        const { account_id: accountId, phone } = conversation;
+        const sentBefore = before ? { [Op.lt]: before } : { [Op.ne]: null };
+
+        const [inbound, campaign, direct, scheduled, broadcast] = await Promise.all([
+            models.InboundMessage.findAll({
+                where: { conversation_id: conversation.id, received_at: sentBefore },
+                limit,
+                order: [['received_at', 'DESC']]
+            }),
+            models.CampaignMessage.findAll({
+                where: { account_id: accountId, phone, sent_at: sentBefore },
+                limit,
+                order: [['sent_at', 'DESC']]
+            }),
+            models.DirectMessage.findAll({
+                where: { account_id: accountId, phone, created_at: sentBefore },
+                limit,
+                order: [['created_at', 'DESC']]
+            }),
+            models.ScheduledMessage.findAll({
+                where: { account_id: accountId, phone, status: 'sent', sent_at: sentBefore },
+                limit,
+                order: [['sent_at', 'DESC']]
+            }),
+            models.BroadcastRecipient.findAll({
+                where: { phone, status: 'sent', sent_at: sentBefore },
+                include: [
+                    {
+                        model: models.BroadcastJob,
+                        as: 'job',
+                        where: { account_id: accountId },
+                        attributes: ['media_mime_type']
+                    }
+                ],
+                limit,
+                order: [['sent_at', 'DESC']]
+            })
+        ]);
+
+        const messages = [
+            ...inbound.map(m => ({
+                direction: 'in',
+                source: 'inbound',
+                id: m.id,
+                text: m.text,
+                media_type: m.media_type,
+                quoted_message_id: m.quoted_message_id,
+                at: m.received_at
+            })),
+            ...campaign.map(m => ({
+                direction: 'out',
+                source: 'campaign',
+                id: m.id,
+                campaign_id: m.campaign_id,
+                text: m.message_text,
+                media_type: m.media_type,
+                status: m.status,
+                at: m.sent_at
+            })),
+            ...direct.map(m => ({
+                direction: 'out',
+                source: 'direct',
+                id: m.id,
+                text: m.message_text,
+                media_type: m.media_type,
+                at: m.created_at
+            })),
+            ...scheduled.map(m => ({
+                direction: 'out',
+                source: 'scheduled',
+                id: m.id,
+                text: m.message_text,
+                media_type: m.media_mime_type ? this.mediaTypeFromMime(m.media_mime_type) : null,
+                at: m.sent_at
+            })),
+            ...broadcast.map(m => ({
+                direction: 'out',
+                source: 'broadcast',
+                id: m.id,
+                text: m.message_text,
+                media_type: m.job.media_mime_type ? this.mediaTypeFromMime(m.job.media_mime_type) : null,
+                at: m.sent_at
+            }))
+        ].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+        return {
+            messages: messages.slice(0, limit).reverse(),
+            has_more: messages.length > limit ||
+                [inbound, campaign, direct, scheduled, broadcast].some(rows => rows.length === limit)
+        };
+    }
+
+    async markRead(conversationId) {
+        const [updated] = await models.Conversation.update(
+            { unread_count: 0, last_read_at: new Date() },
+            { where: { id: conversationId } }
+        );
+
+        return updated > 0;
+    }
+}
+
+module.exports = new Inbox();
@@ -0,0 +1,130 @@
+const models = require('../models');
+const campaignEvents = require('./campaignEvents');
+const staleMessages = require('./staleMessages');
+const { Op } = require('sequelize');
+
+// proto.WebMessageInfo.Status values; PLAYED (voice notes) counts as read
+const STATUS_DELIVERY_ACK = 3;
+const STATUS_READ = 4;
+
+// Receipt timestamps are seconds, sometimes wrapped in a protobuf Long
+function toDate(timestamp) {
+    if (!timestamp) {
+        return new Date();
+    }
+
+    const seconds = typeof timestamp === 'object' && timestamp.toNumber ? timestamp.toNumber() : Number(timestamp);
+    return new Date(seconds * 1000);
+}
+
+class MessageReceipts {
+    // messages.update: [{ key, update: { status } }]
+    async handleMessageUpdates(updates) {
+        for (const { key, update } of updates) {
+            if (!key?.fromMe || !key.id || typeof update?.status !== 'number') {
+                continue;
+            }
+
+            if (update.status >= STATUS_READ) {
+                await this.markRead(key.id, new Date());
+            } else if (update.status === STATUS_DELIVERY_ACK) {
+                await this.markDelivered(key.id, new Date());
+            }
+        }
+    }
+
+    // message-receipt.update: [{ key, receipt: { receiptTimestamp, readTimestamp } }]
+    async handleReceipts(receipts) {
+        for (const { key, receipt } of receipts) {
+            if (!key?.id || !receipt) {
+                continue;
+            }
+
+            if (receipt.readTimestamp || receipt.playedTimestamp) {
+                await this.markRead(key.id, toDate(receipt.readTimestamp || receipt.playedTimestamp));
+            } else if (receipt.receiptTimestamp) {
+                await this.markDelivered(key.id, toDate(receipt.receiptTimestamp));
+            }
+        }
+    }
+
+    async findMessage(waMessageId) {
+        return models.CampaignMessage.findOne({
+            where: { wa_message_id: waMessageId },
+            attributes: ['id', 'campaign_id', 'contact_id']
+        });
+    }
+
+    // Statuses only move forward, so a late delivery receipt never undoes a read
+    async markDelivered(waMessageId, at) {
+        const message = await this.findMessage(waMessageId);
+
+        if (!message || !await this.moveToDelivered(message, at)) {
+            return;
+        }
+
+        await campaignEvents.publishProgress(message.campaign_id);
+    }
+
+    async markRead(waMessageId, at) {
+        const message = await this.findMessage(waMessageId);
+
+        if (!message) {
+            return;
+        }
+
+        // A read receipt without a delivery receipt first still means it was delivered
+        const delivered = await this.moveToDelivered(message, at);
+
+        const [read] = await models.CampaignMessage.update(
+            { status: 'read', read_at: at },
+            { where: { id: message.id, status: 'delivered' } }
+        );
+
+        if (read > 0) {
+            await models.Campaign.increment({ read_count: 1 }, { where: { id: message.campaign_id } });
+        }
+
+        if (delivered || read > 0) {
+            await campaignEvents.publishProgress(message.campaign_id);
+        }
+    }
+
+    // A reply counts for the latest campaign message the account sent to the
+    // phone, and only once
+    async markReplied(accountId, phone, at) {
+        const message = await models.CampaignMessage.findOne({
+            where: {
+                account_id: accountId,
+                phone,
+                sent_at: { [Op.lte]: at }
+            },
+            attributes: ['id', 'replied_at'],
+            order: [['sent_at', 'DESC']]
+        });
+
+        if (!message || message.replied_at) {
+            return;
+        }
+
+        await message.update({ replied_at: at });
+    }
+
+    // A receipt that arrives after the sweeper gave up on the message still counts
+    async moveToDelivered(message, at) {
+        const [delivered] = await models.CampaignMessage.update(
+            { status: 'delivered', delivered_at: at, error_message: null },
+            { where: { id: message.id, status: { [Op.in]: ['sent', 'undelivered'] } } }
+        );
+
+        if (delivered === 0) {
+            return false;
+        }
+
+        await models.Campaign.increment({ delivered_count: 1 }, { where: { id: message.campaign_id } });
+        await staleMessages.clearMisses(message.contact_id);
+        return true;
+    }
+}
+
+module.exports = new MessageReceipts();
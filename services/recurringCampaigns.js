@@ -0,0 +1,209 @@
+const models = require('../models');
+const campaignBuilder = require('./campaignBuilder');
+const campaignRunner = require('./campaignRunner');
+const campaignApproval = require('./campaignApproval');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far ahead a cron expression is searched for its next match
+const MAX_LOOKAHEAD_DAYS = 366 * 4;
+
+// Expands one cron field ("*", "1,15", "1-5", "*/10", "0-30/5") into a Set of values
+function parseCronField(value, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of value.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+
+        let start;
+        let end;
+
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(Number);
+        } else {
+            start = Number(range);
+            end = stepText === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || !Number.isInteger(step) ||
+            step < 1 || start < min || end > max || start > end) {
+            throw new Error(`Invalid cron ${name} field: ${value}`);
+        }
+
+        for (let v = start; v <= end; v += step) {
+            values.add(v);
+        }
+    }
+
+    return values;
+}
+
+class RecurringCampaignService {
+    parseCronExpression(expression) {
+        const fields = String(expression || '').trim().split(/\s+/);
+
+        if (fields.length !== CRON_FIELDS.length) {
+            throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+        }
+
+        const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+
+        // 7 is an alias for Sunday
+        if (daysOfWeek.delete(7)) {
+            daysOfWeek.add(0);
+        }
+
+        return {
+            minutes,
+            hours,
+            daysOfMonth,
+            months,
+            daysOfWeek,
+            // Standard cron: when both day fields are restricted, either may match
+            dayOfMonthRestricted: fields[2] !== '*',
+            dayOfWeekRestricted: fields[4] !== '*'
+        };
+    }
+
+    // The daily/weekly/monthly presets are shorthands for a cron expression
+    toCronExpression(definition) {
+        if (!FREQUENCIES.includes(definition.frequency)) {
+            throw new Error(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+
+        if (definition.frequency === 'cron') {
+            return definition.cron_expression;
+        }
+
+        const [hour, minute] = String(definition.run_time || '').split(':').map(Number);
+
+        if (!Number.isInteger(hour) || !Number.isInteger(minute) || hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+            throw new Error('run_time must be in HH:MM format');
+        }
+
+        switch (definition.frequency) {
+            case 'weekly':
+                if (!Number.isInteger(definition.day_of_week) || definition.day_of_week < 0 || definition.day_of_week > 6) {
+                    throw new Error('day_of_week must be between 0 (Sunday) and 6 for weekly recurrences');
+                }
+                return `${minute} ${hour} * * ${definition.day_of_week}`;
+            case 'monthly':
+                if (!Number.isInteger(definition.day_of_month) || definition.day_of_month < 1 || definition.day_of_month > 31) {
+                    throw new Error('day_of_month must be between 1 and 31 for monthly recurrences');
+                }
+                return `${minute} ${hour} ${definition.day_of_month} * *`;
+            default:
+                return `${minute} ${hour} * * *`;
+        }
+    }
+
+    // Returns the first matching minute strictly after `from`, in server local time
+    getNextRunTime(definition, from = new Date()) {
+        const cron = this.parseCronExpression(this.toCronExpression(definition));
+
+        const date = new Date(from);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = new Date(from);
+        limit.setDate(limit.getDate() + MAX_LOOKAHEAD_DAYS);
+
+        while (date <= limit) {
+            if (!cron.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            const dayOfMonthMatches = cron.daysOfMonth.has(date.getDate());
+            const dayOfWeekMatches = cron.daysOfWeek.has(date.getDay());
+            const dayMatches = cron.dayOfMonthRestricted && cron.dayOfWeekRestricted
+                ? dayOfMonthMatches || dayOfWeekMatches
+                : dayOfMonthMatches && dayOfWeekMatches;
+
+            if (!dayMatches) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!cron.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+
+            if (!cron.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+                continue;
+            }
+
+            return date;
+        }
+
+        return null;
+    }
+
+    // Creates the Campaign for one occurrence and starts it; an occurrence above
+    // the approval threshold waits for approval and then starts via the scheduler
+    async spawnOccurrence(definition) {
+        const template = await models.MessageTemplate.findByPk(definition.template_id);
+
+        if (!template) {
+            throw new Error('Template not found');
+        }
+
+        const contacts = await models.Contact.findAll({
+            where: { group_name: definition.group_name, is_active: true },
+            attributes: ['id']
+        });
+
+        if (contacts.length === 0) {
+            console.log(`⚠️ Recurring campaign ${definition.id} skipped: group "${definition.group_name}" has no active contacts`);
+            return null;
+        }
+
+        const occurrence = definition.occurrence_count + 1;
+
+        const needsApproval = campaignApproval.requiresApproval(contacts.length);
+
+        const campaign = await models.sequelize.transaction((t) => campaignBuilder.createCampaign({
+            name: `${definition.name} #${occurrence}`,
+            account_id: definition.account_id,
+            recurring_campaign_id: definition.id,
+            delay_seconds: definition.delay_seconds,
+            ...(needsApproval
+                ? { status: 'pending_approval', approval_status: 'pending', scheduled_at: new Date() }
+                : { status: 'running', started_at: new Date() })
+        }, template, contacts.map(c => c.id), t));
+
+        if (needsApproval) {
+            await campaignApproval.logSubmitted(campaign);
+            return campaign;
+        }
+
+        await models.ActivityLog.create({
+            account_id: definition.account_id,
+            action: 'campaign_started',
+            description: `Recurring campaign "${definition.name}" started occurrence #${occurrence} for ${contacts.length} contacts`
+        });
+
+        campaignRunner.start(campaign.id);
+
+        return campaign;
+    }
+}
+
+module.exports = new RecurringCampaignService();
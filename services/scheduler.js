@@ -0,0 +1,297 @@
+const fs = require('fs-extra');
+const models = require('../models');
+const whatsappService = require('./whatsapp');
+const campaignRunner = require('./campaignRunner');
+const broadcastRunner = require('./broadcastRunner');
+const recurringCampaigns = require('./recurringCampaigns');
+const campaignPool = require('./campaignPool');
+const dripSequences = require('./dripSequences');
+const staleMessages = require('./staleMessages');
+const { Op } = require('sequelize');
+
+const SCHEDULED_MEDIA_DIR = 'uploads/scheduled';
+
+class Scheduler {
+    constructor() {
+        this.timer = null;
+        this.ticking = false;
+
+        // How often due work is checked for
+        this.TICK_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30000; // 30 seconds
+        this.MESSAGE_BATCH_SIZE = 50;
+    }
+
+    async initialize() {
+        if (this.timer) {
+            return;
+        }
+
+        // A message left in 'sending' may already have been delivered
+        const [interrupted] = await models.ScheduledMessage.update(
+            { status: 'failed', error_message: 'Interrupted by server restart before delivery was confirmed' },
+            { where: { status: 'sending' } }
+        );
+
+        if (interrupted > 0) {
+            console.log(`⚠️ Marked ${interrupted} interrupted scheduled messages as failed`);
+        }
+
+        // Catch up on anything that fell due while the server was down
+        await this.tick();
+
+        this.timer = setInterval(() => this.tick(), this.TICK_INTERVAL);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        // Skip this tick if the previous one is still working
+        if (this.ticking) {
+            return;
+        }
+
+        this.ticking = true;
+
+        try {
+            await this.startDueCampaigns();
+            await this.resumeWaitingCampaigns();
+            await this.startDueRecurrences();
+            await dripSequences.dispatchDueSteps();
+            await this.startDueBroadcasts();
+            await this.resumeWaitingBroadcasts();
+            await this.dispatchDueMessages();
+            await staleMessages.sweepIfDue();
+        } catch (error) {
+            console.error('❌ Scheduler tick failed:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async startDueCampaigns() {
+        const dueCampaigns = await models.Campaign.findAll({
+            where: {
+                status: 'scheduled',
+                scheduled_at: { [Op.lte]: new Date() }
+            },
+            attributes: ['id', 'name', 'account_id']
+        });
+
+        for (const campaign of dueCampaigns) {
+            const [updated] = await models.Campaign.update(
+                { status: 'running', started_at: new Date() },
+                { where: { id: campaign.id, status: 'scheduled' } }
+            );
+
+            // Unscheduled or started by hand in the meantime
+            if (updated === 0) {
+                continue;
+            }
+
+            console.log(`⏰ Starting scheduled campaign ${campaign.id} (${campaign.name})`);
+
+            await models.ActivityLog.create({
+                account_id: campaign.account_id,
+                action: 'campaign_started',
+                description: `Scheduled campaign "${campaign.name}" started`
+            });
+
+            campaignRunner.start(campaign.id);
+        }
+    }
+
+    // Running campaigns held back (e.g. outside their send window) until `waiting_until`
+    async resumeWaitingCampaigns() {
+        const readyCampaigns = await models.Campaign.findAll({
+            where: {
+                status: 'running',
+                waiting_reason: { [Op.ne]: null },
+                waiting_until: { [Op.lte]: new Date() }
+            },
+            attributes: ['id', 'account_id']
+        });
+
+        for (const campaign of readyCampaigns) {
+            if (!campaignRunner.isRunning(campaign.id) && await campaignPool.hasReadyAccount(campaign)) {
+                campaignRunner.start(campaign.id);
+            }
+        }
+    }
+
+    async startDueRecurrences() {
+        const dueDefinitions = await models.RecurringCampaign.findAll({
+            where: {
+                status: 'active',
+                next_run_at: { [Op.lte]: new Date() }
+            }
+        });
+
+        for (const definition of dueDefinitions) {
+            try {
+                // Advance the schedule first so a failing occurrence is not retried every tick.
+                // Occurrences missed while the server was down collapse into this one.
+                const [claimed] = await models.RecurringCampaign.update(
+                    { next_run_at: recurringCampaigns.getNextRunTime(definition), last_run_at: new Date() },
+                    { where: { id: definition.id, status: 'active' } }
+                );
+
+                if (claimed === 0) {
+                    continue;
+                }
+
+                console.log(`⏰ Starting occurrence of recurring campaign ${definition.id} (${definition.name})`);
+
+                const campaign = await recurringCampaigns.spawnOccurrence(definition);
+
+                if (campaign) {
+                    await definition.increment('occurrence_count');
+                }
+            } catch (error) {
+                console.error(`❌ Recurring campaign ${definition.id} occurrence failed:`, error.message);
+            }
+        }
+    }
+
+    async startDueBroadcasts() {
+        const dueJobs = await models.BroadcastJob.findAll({
+            where: {
+                status: 'scheduled',
+                scheduled_at: { [Op.lte]: new Date() }
+            },
+            attributes: ['id', 'account_id', 'total_recipients']
+        });
+
+        for (const job of dueJobs) {
+            const [updated] = await models.BroadcastJob.update(
+                { status: 'running', started_at: new Date() },
+                { where: { id: job.id, status: 'scheduled' } }
+            );
+
+            if (updated === 0) {
+                continue;
+            }
+
+            console.log(`⏰ Starting scheduled broadcast ${job.id} (${job.total_recipients} recipients)`);
+
+            await models.ActivityLog.create({
+                account_id: job.account_id,
+                action: 'broadcast_started',
+                description: `Scheduled broadcast to ${job.total_recipients} recipients started`
+            });
+
+            broadcastRunner.start(job.id);
+        }
+    }
+
+    async resumeWaitingBroadcasts() {
+        const readyJobs = await models.BroadcastJob.findAll({
+            where: {
+                status: 'running',
+                waiting_reason: { [Op.ne]: null },
+                waiting_until: { [Op.lte]: new Date() }
+            },
+            attributes: ['id', 'account_id']
+        });
+
+        for (const job of readyJobs) {
+            if (!broadcastRunner.isRunning(job.id) && await whatsappService.isAccountReady(job.account_id)) {
+                broadcastRunner.start(job.id);
+            }
+        }
+    }
+
+    async dispatchDueMessages() {
+        const dueMessages = await models.ScheduledMessage.findAll({
+            where: {
+                status: 'pending',
+                scheduled_at: { [Op.lte]: new Date() }
+            },
+            order: [['scheduled_at', 'ASC']],
+            limit: this.MESSAGE_BATCH_SIZE
+        });
+
+        for (const scheduled of dueMessages) {
+            // Held back until the account is back online
+            if (!whatsappService.hasSession(scheduled.account_id)) {
+                continue;
+            }
+
+            const [claimed] = await models.ScheduledMessage.update(
+                { status: 'sending' },
+                { where: { id: scheduled.id, status: 'pending' } }
+            );
+
+            if (claimed === 0) {
+                continue;
+            }
+
+            try {
+                await whatsappService.sendMessage(
+                    scheduled.account_id,
+                    scheduled.phone,
+                    scheduled.message_text || '',
+                    scheduled.media_path,
+                    scheduled.media_mime_type,
+                    scheduled.media_original_name
+                );
+
+                await scheduled.update({ status: 'sent', sent_at: new Date() });
+                console.log(`⏰ Scheduled message ${scheduled.id} sent to ${scheduled.phone}`);
+            } catch (error) {
+                if (error.code === 'QUOTA_EXCEEDED') {
+                    // Stays due and is picked up again once the quota resets
+                    await models.ScheduledMessage.update(
+                        { status: 'pending' },
+                        { where: { id: scheduled.id } }
+                    );
+                    continue;
+                }
+
+                console.error(`❌ Scheduled message ${scheduled.id} failed:`, error.message);
+                await scheduled.update({ status: 'failed', error_message: error.message });
+            }
+
+            await this.removeScheduledMedia(scheduled.media_path);
+        }
+    }
+
+    // Returns a Date for a valid future timestamp, otherwise null
+    parseScheduleTime(value) {
+        const scheduledAt = new Date(value);
+
+        if (!value || isNaN(scheduledAt.getTime()) || scheduledAt <= new Date()) {
+            return null;
+        }
+
+        return scheduledAt;
+    }
+
+    // Keeps an uploaded file around until its scheduled send time
+    async storeScheduledMedia(file) {
+        await fs.ensureDir(SCHEDULED_MEDIA_DIR);
+
+        const storedPath = `${SCHEDULED_MEDIA_DIR}/${file.filename}`;
+        await fs.move(file.path, storedPath, { overwrite: true });
+
+        return storedPath;
+    }
+
+    async removeScheduledMedia(mediaPath) {
+        if (!mediaPath) {
+            return;
+        }
+
+        try {
+            await fs.remove(mediaPath);
+        } catch (cleanupError) {
+            console.log('File cleanup warning:', cleanupError.message);
+        }
+    }
+}
+
+module.exports = new Scheduler();
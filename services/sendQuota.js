@@ -0,0 +1,133 @@
+const models = require('../models');
+const { Op, literal, where } = require('sequelize');
+
+const startOfHour = (date) => {
+    const start = new Date(date);
+    start.setMinutes(0, 0, 0);
+    return start;
+};
+
+const startOfDay = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+};
+
+class SendQuota {
+    // Usage in the current clock hour and calendar day (server local time)
+    async getUsage(account, now = new Date()) {
+        const hourStart = startOfHour(now);
+        const dayStart = startOfDay(now);
+
+        const [hourUsage, dayUsed] = await Promise.all([
+            models.AccountUsage.findOne({
+                where: { account_id: account.id, period_start: hourStart },
+                attributes: ['sent_count']
+            }),
+            models.AccountUsage.sum('sent_count', {
+                where: { account_id: account.id, period_start: { [Op.gte]: dayStart } }
+            })
+        ]);
+
+        const hourEnd = new Date(hourStart.getTime() + 60 * 60 * 1000);
+        const dayEnd = new Date(dayStart);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+
+        const describe = (limit, used, resetsAt) => ({
+            limit,
+            used,
+            remaining: limit === null || limit === undefined ? null : Math.max(limit - used, 0),
+            resets_at: resetsAt
+        });
+
+        return {
+            hourly: describe(account.hourly_quota, hourUsage ? hourUsage.sent_count : 0, hourEnd),
+            daily: describe(account.daily_quota, dayUsed || 0, dayEnd)
+        };
+    }
+
+    // Takes one message from the account's quota before it is sent. The check
+    // and the increment are a single UPDATE, so parallel sends on the same
+    // account cannot all pass the check. Returns the reservation to release if
+    // the send fails; throws a QUOTA_EXCEEDED error, carrying `retryAt`, when
+    // the account may not send now.
+    async reserve(accountId) {
+        const account = await models.Account.findByPk(accountId, {
+            attributes: ['id', 'hourly_quota', 'daily_quota']
+        });
+
+        if (!account) {
+            return null;
+        }
+
+        const now = new Date();
+        const reservation = { account_id: account.id, period_start: startOfHour(now) };
+
+        await this.ensureUsageRow(reservation);
+
+        const limits = [];
+
+        if (account.hourly_quota !== null) {
+            limits.push({ sent_count: { [Op.lt]: account.hourly_quota } });
+        }
+
+        if (account.daily_quota !== null) {
+            const dayUsed = literal(
+                `(SELECT COALESCE(SUM(sent_count), 0) FROM account_usage WHERE account_id = ${account.id} ` +
+                `AND period_start >= ${models.sequelize.escape(startOfDay(now))})`
+            );
+            limits.push(where(dayUsed, Op.lt, account.daily_quota));
+        }
+
+        const [updated] = await models.AccountUsage.update(
+            { sent_count: literal('sent_count + 1') },
+            { where: { ...reservation, [Op.and]: limits } }
+        );
+
+        if (updated > 0) {
+            return reservation;
+        }
+
+        const usage = await this.getUsage(account, now);
+
+        // The daily limit is reported first since it waits longer
+        const [period, quota] = [['daily', usage.daily], ['hourly', usage.hourly]]
+            .find(([, candidate]) => candidate.remaining === 0) || ['hourly', usage.hourly];
+
+        const error = new Error(`Account ${accountId} reached its ${period} quota of ${quota.limit} messages`);
+        error.code = 'QUOTA_EXCEEDED';
+        error.retryAt = quota.resets_at;
+        throw error;
+    }
+
+    // Gives back a reservation whose message was not sent
+    async release(reservation) {
+        if (!reservation) {
+            return;
+        }
+
+        await models.AccountUsage.update(
+            { sent_count: literal('sent_count - 1') },
+            { where: { ...reservation, sent_count: { [Op.gt]: 0 } } }
+        );
+    }
+
+    // Not findOrCreate: its implicit transaction locks the SQLite file and
+    // makes sends from other accounts running in parallel fail with SQLITE_BUSY
+    async ensureUsageRow(usageWhere) {
+        if (await models.AccountUsage.count({ where: usageWhere }) > 0) {
+            return;
+        }
+
+        try {
+            await models.AccountUsage.create({ ...usageWhere, sent_count: 0 });
+        } catch (error) {
+            // Another send for the same account created the row first
+            if (error.name !== 'SequelizeUniqueConstraintError') {
+                throw error;
+            }
+        }
+    }
+}
+
+module.exports = new SendQuota();
@@ -0,0 +1,158 @@
+const MINUTES_PER_DAY = 24 * 60;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Returns minutes since midnight for "HH:MM", or null
+function parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+
+    if (!match) {
+        return null;
+    }
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+
+    return hours * 60 + minutes;
+}
+
+// "1,2,3" or [1, 2, 3] -> [1, 2, 3]; 0 is Sunday
+function parseDays(value) {
+    if (value === undefined || value === null || value === '') {
+        return ALL_DAYS;
+    }
+
+    const days = (Array.isArray(value) ? value : String(value).split(','))
+        .map(day => parseInt(day));
+
+    return days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) ? days : null;
+}
+
+class SendWindow {
+    // Global default from the environment, used by campaigns without their own window:
+    // SEND_WINDOW_START=08:00 SEND_WINDOW_END=20:00 SEND_WINDOW_DAYS=1,2,3,4,5,6 SEND_WINDOW_TIMEZONE=Asia/Jakarta
+    getDefaultWindow() {
+        if (!process.env.SEND_WINDOW_START || !process.env.SEND_WINDOW_END) {
+            return null;
+        }
+
+        return this.buildWindow({
+            start: process.env.SEND_WINDOW_START,
+            end: process.env.SEND_WINDOW_END,
+            days: process.env.SEND_WINDOW_DAYS,
+            timezone: process.env.SEND_WINDOW_TIMEZONE
+        });
+    }
+
+    // Returns an error message for an invalid window definition, otherwise null
+    validate({ start, end, days, timezone }) {
+        if (parseClockTime(start) === null || parseClockTime(end) === null) {
+            return 'Send window start and end must be in HH:MM format';
+        }
+
+        if (!parseDays(days)) {
+            return 'Send window days must be numbers from 0 (Sunday) to 6';
+        }
+
+        if (timezone) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            } catch (e) {
+                return `Unknown timezone: ${timezone}`;
+            }
+        }
+
+        return null;
+    }
+
+    buildWindow({ start, end, days, timezone }) {
+        if (this.validate({ start, end, days, timezone })) {
+            return null;
+        }
+
+        return {
+            start: parseClockTime(start),
+            end: parseClockTime(end),
+            days: parseDays(days),
+            timezone: timezone || undefined
+        };
+    }
+
+    // The campaign's own window, else the global default, else null (always open)
+    resolveForCampaign(campaign) {
+        if (campaign.send_window_start && campaign.send_window_end) {
+            return this.buildWindow({
+                start: campaign.send_window_start,
+                end: campaign.send_window_end,
+                days: campaign.send_window_days,
+                timezone: campaign.send_window_timezone || process.env.SEND_WINDOW_TIMEZONE
+            });
+        }
+
+        return this.getDefaultWindow();
+    }
+
+    // Day of week and minutes since midnight of `date` in the window's timezone
+    getLocalTime(date, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+
+        const part = (type) => parts.find(p => p.type === type).value;
+
+        return {
+            day: WEEKDAY_INDEX[part('weekday')],
+            minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+        };
+    }
+
+    // Days refer to the local calendar day; an end before the start wraps past midnight
+    isOpen(window, date = new Date()) {
+        const { day, minutes } = this.getLocalTime(date, window.timezone);
+
+        if (!window.days.includes(day)) {
+            return false;
+        }
+
+        if (window.start === window.end) {
+            return true;
+        }
+
+        if (window.start < window.end) {
+            return minutes >= window.start && minutes < window.end;
+        }
+
+        return minutes >= window.start || minutes < window.end;
+    }
+
+    getNextOpenTime(window, from = new Date()) {
+        let candidate = new Date(from);
+        candidate.setSeconds(0, 0);
+
+        // At most two jumps per day for a week, plus slack for DST shifts
+        for (let i = 0; i < 32; i++) {
+            if (this.isOpen(window, candidate)) {
+                return candidate;
+            }
+
+            const { day, minutes } = this.getLocalTime(candidate, window.timezone);
+            const jumpMinutes = window.days.includes(day) && minutes < window.start
+                ? window.start - minutes
+                : MINUTES_PER_DAY - minutes;
+
+            candidate = new Date(candidate.getTime() + jumpMinutes * 60 * 1000);
+        }
+
+        return null;
+    }
+}
+
+module.exports = new SendWindow();
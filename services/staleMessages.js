@@ -0,0 +1,162 @@
+const models = require('../models');
+const { Op, fn, col } = require('sequelize');
+
+// Rows marked per query
+const BATCH_SIZE = 500;
+
+// The scheduler ticks far more often than stale messages need checking
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class StaleMessages {
+    constructor() {
+        this.lastSweepAt = 0;
+    }
+
+    // UNDELIVERED_AFTER_HOURS=72; 0 turns the sweeper off
+    getWindowHours() {
+        const hours = parseInt(process.env.UNDELIVERED_AFTER_HOURS);
+        return Number.isInteger(hours) && hours >= 0 ? hours : 72;
+    }
+
+    // SUSPECT_AFTER_MISSES=3; 0 never marks contacts suspect
+    getSuspectThreshold() {
+        const misses = parseInt(process.env.SUSPECT_AFTER_MISSES);
+        return Number.isInteger(misses) && misses >= 0 ? misses : 3;
+    }
+
+    // Called by the scheduler on every tick
+    async sweepIfDue() {
+        if (Date.now() - this.lastSweepAt < SWEEP_INTERVAL_MS) {
+            return;
+        }
+
+        this.lastSweepAt = Date.now();
+        await this.sweep();
+    }
+
+    // Marks sent messages without a delivery receipt inside the window as
+    // undelivered. Messages sent before receipts were tracked have no
+    // wa_message_id and are left alone, since no receipt could ever match them.
+    async sweep() {
+        const hours = this.getWindowHours();
+
+        if (hours === 0) {
+            return { undelivered: 0, suspect: 0 };
+        }
+
+        const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+        const reason = `No delivery receipt within ${hours} hours; the phone may be offline or the number inactive`;
+        let undelivered = 0;
+        let suspect = 0;
+        let lastId = 0;
+
+        while (true) {
+            const rows = await models.CampaignMessage.findAll({
+                where: {
+                    id: { [Op.gt]: lastId },
+                    status: 'sent',
+                    wa_message_id: { [Op.ne]: null },
+                    sent_at: { [Op.lt]: cutoff }
+                },
+                attributes: ['id', 'contact_id', 'sent_at'],
+                order: [['id', 'ASC']],
+                limit: BATCH_SIZE
+            });
+
+            if (rows.length === 0) {
+                break;
+            }
+
+            lastId = rows[rows.length - 1].id;
+
+            // A receipt may have come in since the rows were read
+            const [marked] = await models.CampaignMessage.update(
+                { status: 'undelivered', error_message: reason },
+                { where: { id: { [Op.in]: rows.map(row => row.id) }, status: 'sent' } }
+            );
+
+            undelivered += marked;
+
+            // Only the rows marked here are misses; the rest were delivered meanwhile
+            const missed = marked === rows.length ? rows : await models.CampaignMessage.findAll({
+                where: { id: { [Op.in]: rows.map(row => row.id) }, status: 'undelivered' },
+                attributes: ['id', 'contact_id', 'sent_at']
+            });
+
+            suspect += await this.recordMisses(missed.filter(row => row.contact_id));
+        }
+
+        if (undelivered > 0) {
+            console.log(`📭 Marked ${undelivered} messages undelivered${suspect > 0 ? `, ${suspect} contacts now suspect` : ''}`);
+        }
+
+        if (suspect > 0) {
+            await models.ActivityLog.create({
+                action: 'contacts_marked_suspect',
+                description: `${suspect} contact${suspect === 1 ? '' : 's'} marked suspect after ${this.getSuspectThreshold()} undelivered messages in a row`
+            });
+        }
+
+        return { undelivered, suspect };
+    }
+
+    // Counts a miss per message, except messages older than one that did reach
+    // the contact; returns how many contacts just became suspect
+    async recordMisses(rows) {
+        const lastDeliveries = await models.CampaignMessage.findAll({
+            where: {
+                contact_id: { [Op.in]: [...new Set(rows.map(row => row.contact_id))] },
+                status: { [Op.in]: ['delivered', 'read'] }
+            },
+            attributes: ['contact_id', [fn('MAX', col('sent_at')), 'last_sent_at']],
+            group: ['contact_id'],
+            raw: true
+        });
+        const lastDelivered = new Map(lastDeliveries.map(row => [row.contact_id, new Date(row.last_sent_at)]));
+
+        const misses = new Map();
+        rows.forEach(row => {
+            if (lastDelivered.has(row.contact_id) && row.sent_at < lastDelivered.get(row.contact_id)) {
+                return;
+            }
+            misses.set(row.contact_id, (misses.get(row.contact_id) || 0) + 1);
+        });
+
+        for (const [contactId, count] of misses) {
+            await models.Contact.increment({ undelivered_count: count }, { where: { id: contactId } });
+        }
+
+        const threshold = this.getSuspectThreshold();
+
+        if (threshold === 0 || misses.size === 0) {
+            return 0;
+        }
+
+        const [marked] = await models.Contact.update(
+            { suspect_at: new Date() },
+            {
+                where: {
+                    id: { [Op.in]: [...misses.keys()] },
+                    undelivered_count: { [Op.gte]: threshold },
+                    suspect_at: null
+                }
+            }
+        );
+
+        return marked;
+    }
+
+    // A delivered message proves the number works, so its misses start over
+    async clearMisses(contactId) {
+        if (!contactId) {
+            return;
+        }
+
+        await models.Contact.update(
+            { undelivered_count: 0, suspect_at: null },
+            { where: { id: contactId, undelivered_count: { [Op.gt]: 0 } } }
+        );
+    }
+}
+
+module.exports = new StaleMessages();
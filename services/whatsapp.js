@@ -4,6 +4,8 @@ const {
     useMultiFileAuthState,
     delay,
     generateWAMessageFromContent,
+    normalizeMessageContent,
+    getContentType,
     proto
 } = require('@whiskeysockets/baileys');
 const pino = require('pino');
@@ -11,8 +13,27 @@ const fs = require('fs-extra');
 const path = require('path');
 const QRCode = require('qrcode');
 const models = require('../models');
+const sendQuota = require('./sendQuota');
+const messageReceipts = require('./messageReceipts');
+const inbox = require('./inbox');
 const { Op } = require('sequelize');
 
+// Inbound message content types stored as media, by the kind of media
+const INBOUND_MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker',
+    locationMessage: 'location',
+    liveLocationMessage: 'location',
+    contactMessage: 'contact',
+    contactsArrayMessage: 'contact'
+};
+
+// Content types that are signalling rather than something the contact wrote
+const IGNORED_CONTENT_TYPES = ['protocolMessage', 'reactionMessage', 'senderKeyDistributionMessage'];
+
 class WhatsAppService {
     constructor() {
         this.sessions = new Map();
@@ -131,8 +152,20 @@ class WhatsAppService {
             sock.ev.on('creds.update', saveCreds);
 
             sock.ev.on('messages.upsert', async (m) => {
-                // Handle incoming messages if needed
-                console.log('New messages:', m.messages);
+                await this.handleIncomingMessages(accountId, m);
+            });
+
+            // Delivery and read receipts for messages we sent
+            sock.ev.on('messages.update', async (updates) => {
+                await messageReceipts.handleMessageUpdates(updates).catch(error => {
+                    console.error(`Failed to apply message updates for account ${accountId}:`, error);
+                });
+            });
+
+            sock.ev.on('message-receipt.update', async (receipts) => {
+                await messageReceipts.handleReceipts(receipts).catch(error => {
+                    console.error(`Failed to apply receipts for account ${accountId}:`, error);
+                });
             });
 
             this.sessions.set(accountId, sock);
@@ -162,6 +195,115 @@ class WhatsAppService {
         }
     }
 
+    async handleIncomingMessages(accountId, { messages, type }) {
+        // 'append' is history sync, not new messages
+        if (type !== 'notify') {
+            return;
+        }
+
+        for (const msg of messages) {
+            const jid = msg.key?.remoteJid;
+
+            // Only direct chats from other people
+            if (msg.key?.fromMe || !jid || !(jid.endsWith('@s.whatsapp.net') || jid.endsWith('@lid'))) {
+                continue;
+            }
+
+            const phone = this.getSenderPhone(msg.key) || await this.getPhoneForLid(accountId, jid);
+
+            if (!phone) {
+                continue;
+            }
+
+            // Unwraps ephemeral, view-once and captioned document messages
+            const content = normalizeMessageContent(msg.message);
+            const contentType = getContentType(content);
+
+            if (!contentType || IGNORED_CONTENT_TYPES.includes(contentType)) {
+                continue;
+            }
+
+            const text = this.getMessageText(content);
+            const receivedAt = this.getMessageTimestamp(msg);
+
+            try {
+                await inbox.recordInbound(accountId, {
+                    phone,
+                    waMessageId: msg.key.id,
+                    senderName: msg.pushName,
+                    text,
+                    mediaType: INBOUND_MEDIA_TYPES[contentType] || null,
+                    quotedMessageId: content[contentType]?.contextInfo?.stanzaId,
+                    receivedAt
+                });
+            } catch (error) {
+                console.error(`Failed to store incoming message on account ${accountId}:`, error);
+            }
+
+            try {
+                await messageReceipts.markReplied(accountId, phone, receivedAt);
+            } catch (error) {
+                console.error(`Failed to record reply on account ${accountId}:`, error);
+            }
+
+            try {
+                // Replies and opt-outs end drip sequence enrollments
+                await require('./dripSequences').onInboundMessage(accountId, phone, text);
+            } catch (error) {
+                console.error(`Failed to handle incoming message on account ${accountId}:`, error);
+            }
+        }
+    }
+
+    // Chats keyed by a LID (@lid) carry the phone number jid as remoteJidAlt
+    // (senderPn before Baileys 7); returns null when no phone number is known
+    getSenderPhone(key) {
+        const jid = [key.remoteJid, key.remoteJidAlt, key.senderPn]
+            .find(candidate => candidate && candidate.endsWith('@s.whatsapp.net'));
+
+        // number:device@s.whatsapp.net
+        return jid ? jid.split('@')[0].split(':')[0] : null;
+    }
+
+    // For LID chats whose key has no phone number jid, asks the mapping the
+    // session has learned
+    async getPhoneForLid(accountId, jid) {
+        const lidMapping = this.sessions.get(accountId)?.signalRepository?.lidMapping;
+
+        if (!jid.endsWith('@lid') || !lidMapping) {
+            return null;
+        }
+
+        try {
+            const phoneJid = await lidMapping.getPNForLID(jid);
+            return phoneJid ? this.getSenderPhone({ remoteJid: phoneJid }) : null;
+        } catch (error) {
+            console.error(`Failed to look up the phone number of ${jid} on account ${accountId}:`, error);
+            return null;
+        }
+    }
+
+    // messageTimestamp is in seconds, sometimes wrapped in a protobuf Long
+    getMessageTimestamp(msg) {
+        const timestamp = msg.messageTimestamp;
+
+        if (!timestamp) {
+            return new Date();
+        }
+
+        const seconds = typeof timestamp === 'object' && timestamp.toNumber ? timestamp.toNumber() : Number(timestamp);
+        return new Date(seconds * 1000);
+    }
+
+    getMessageText(message) {
+        return message?.conversation ||
+            message?.extendedTextMessage?.text ||
+            message?.imageMessage?.caption ||
+            message?.videoMessage?.caption ||
+            message?.documentMessage?.caption ||
+            '';
+    }
+
     async handleConnectionUpdate(accountId, accountData, update, sock) {
         const { connection, lastDisconnect, qr } = update;
         
@@ -186,6 +328,11 @@ class WhatsAppService {
                 // Clean up current session
                 this.sessions.delete(accountId);
                 
+                // Pause campaigns on this account instead of failing their remaining recipients
+                require('./campaignRunner').onAccountDisconnected(accountId).catch(runnerError => {
+                    console.error(`Failed to pause campaigns for account ${accountId}:`, runnerError);
+                });
+                
                 // Determine if we should reconnect based on error type
                 const shouldReconnect = this.shouldAttemptReconnect(statusCode, errorMessage);
                 
@@ -267,6 +414,14 @@ class WhatsAppService {
                     action: phoneChanged ? 'phone_updated' : 'connected',
                     description: logDescription
                 });
+
+                // Pick up campaigns and broadcasts that were waiting for this account
+                require('./campaignRunner').onAccountConnected(accountId).catch(runnerError => {
+                    console.error(`Failed to resume campaigns for account ${accountId}:`, runnerError);
+                });
+                require('./broadcastRunner').onAccountConnected(accountId).catch(runnerError => {
+                    console.error(`Failed to resume broadcasts for account ${accountId}:`, runnerError);
+                });
             }
             
         } catch (error) {
@@ -308,6 +463,11 @@ class WhatsAppService {
     }
 
     async sendMessage(accountId, phone, message, mediaPath = null, mimeType = null, originalName = null) {
+        // Every outgoing message passes here, so per-account quotas are enforced here.
+        // A quota rejection is not a delivery failure and is not logged as one.
+        const reservation = await sendQuota.reserve(accountId);
+        let sent = false;
+        
         try {
             // Convert accountId to string to match session keys (sessions are stored as strings)
             const stringAccountId = String(accountId);
@@ -458,6 +618,7 @@ class WhatsAppService {
             }
             
             const result = await sock.sendMessage(jid, messageContent);
+            sent = true;
             
             console.log(`✅ WhatsApp sendMessage result:`, {
                 key: result.key,
@@ -477,6 +638,11 @@ class WhatsAppService {
         } catch (error) {
             console.error(`Error sending message from account ${accountId}:`, error);
             
+            // A failed send does not use up the quota
+            if (!sent) {
+                await sendQuota.release(reservation);
+            }
+            
             // Log error
             await models.ActivityLog.create({
                 account_id: accountId,
@@ -488,125 +654,6 @@ class WhatsAppService {
         }
     }
 
-    async sendBulkMessages(campaignId) {
-        try {
-            const campaign = await models.Campaign.findOne({
-                where: {
-                    id: campaignId,
-                    status: 'running'
-                },
-                include: [
-                    {
-                        model: models.Account,
-                        as: 'account',
-                        attributes: ['id']
-                    },
-                    {
-                        model: models.MessageTemplate,
-                        as: 'template',
-                        attributes: ['message_text', 'media_path']
-                    }
-                ]
-            });
-
-            if (!campaign) {
-                throw new Error('Campaign not found or not running');
-            }
-
-            const accountId = campaign.account.id;
-
-            // Get pending messages
-            const pendingMessages = await models.CampaignMessage.findAll({
-                where: {
-                    campaign_id: campaignId,
-                    status: 'pending'
-                },
-                order: [['id', 'ASC']]
-            });
-
-            let sentCount = 0;
-            let failedCount = 0;
-
-            for (const messageData of pendingMessages) {
-                try {
-                    // Check if campaign is still running
-                    const currentCampaign = await models.Campaign.findByPk(campaignId, {
-                        attributes: ['status']
-                    });
-
-                    if (!currentCampaign || currentCampaign.status !== 'running') {
-                        console.log('Campaign stopped or paused');
-                        break;
-                    }
-
-                    // Send message
-                    await this.sendMessage(
-                        accountId,
-                        messageData.phone,
-                        messageData.message_text,
-                        messageData.media_path
-                    );
-
-                    // Update message status
-                    await models.CampaignMessage.update(
-                        { status: 'sent', sent_at: new Date() },
-                        { where: { id: messageData.id } }
-                    );
-
-                    sentCount++;
-
-                    // Delay between messages
-                    await delay(campaign.delay_seconds * 1000);
-
-                } catch (error) {
-                    console.error(`Failed to send message ${messageData.id}:`, error);
-                    
-                    // Update message status with error
-                    await models.CampaignMessage.update(
-                        { status: 'failed', error_message: error.message },
-                        { where: { id: messageData.id } }
-                    );
-
-                    failedCount++;
-                }
-            }
-
-            // Update campaign statistics
-            await models.Campaign.increment(
-                { sent_count: sentCount, failed_count: failedCount },
-                { where: { id: campaignId } }
-            );
-
-            // Check if campaign is completed
-            const remainingCount = await models.CampaignMessage.count({
-                where: {
-                    campaign_id: campaignId,
-                    status: 'pending'
-                }
-            });
-
-            if (remainingCount === 0) {
-                await models.Campaign.update(
-                    { status: 'completed', completed_at: new Date() },
-                    { where: { id: campaignId } }
-                );
-            }
-
-            return { sentCount, failedCount };
-
-        } catch (error) {
-            console.error('Error in bulk message sending:', error);
-            
-            // Update campaign status to error
-            await models.Campaign.update(
-                { status: 'cancelled' },
-                { where: { id: campaignId } }
-            );
-            
-            throw error;
-        }
-    }
-
     getMimeType(filePath) {
         const ext = path.extname(filePath).toLowerCase();
         const mimeTypes = {
@@ -635,32 +682,23 @@ class WhatsAppService {
         return sock ? 'connected' : 'disconnected';
     }
 
+    hasSession(accountId) {
+        // Sessions may be keyed by numeric or string account id
+        return this.sessions.has(parseInt(accountId)) || this.sessions.has(String(accountId));
+    }
+
+    async isAccountReady(accountId) {
+        const account = await models.Account.findByPk(accountId, {
+            attributes: ['status']
+        });
+
+        return !!account && account.status === 'connected' && this.hasSession(accountId);
+    }
+
     async sendTextMessage(accountId, toNumber, message) {
         try {
-            // Convert accountId to numeric to match session keys (sessions are stored as numeric)
-            const numericAccountId = parseInt(accountId);
-            const stringAccountId = String(accountId);
-            
-            // Try numeric key first (sessions are stored as numeric)
-            let sock = this.sessions.get(numericAccountId);
-            console.log(`🔍 sendTextMessage session lookup - numeric key ${numericAccountId}:`, !!sock);
-            
-            // Fallback: try string key
-            if (!sock) {
-                sock = this.sessions.get(stringAccountId);
-                console.log(`🔍 sendTextMessage session lookup - string key "${stringAccountId}":`, !!sock);
-            }
-            
-            if (!sock) {
-                console.log(`❌ No session found. Available:`, Array.from(this.sessions.keys()));
-                throw new Error(`Account ${accountId} is not connected`);
-            }
-            
-            // Format phone number for WhatsApp (add @s.whatsapp.net)
-            const formattedNumber = toNumber.includes('@') ? toNumber : `${toNumber}@s.whatsapp.net`;
-            
-            // Send message
-            const result = await sock.sendMessage(formattedNumber, { text: message });
+            // Goes through sendMessage so quotas and activity logging apply
+            const result = await this.sendMessage(accountId, toNumber, message);
             
             console.log(`Message sent from account ${accountId} to ${toNumber}`);
             
@@ -672,6 +710,11 @@ class WhatsAppService {
             
         } catch (error) {
             console.error(`Error sending message from account ${accountId}:`, error);
+            
+            if (error.code === 'QUOTA_EXCEEDED') {
+                throw error;
+            }
+            
             throw new Error(`Failed to send message: ${error.message}`);
         }
     }
@@ -9,7 +9,7 @@ async function setupDatabase() {
         await models.sequelize.authenticate();
         console.log('✅ Database connected successfully');
         
-        await models.sequelize.sync({ force: false });
+        await models.syncSchema();
         console.log('✅ Database tables created successfully!');
         
         const contactsCount = await models.Contact.count();